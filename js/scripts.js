@@ -13,33 +13,1013 @@
         LAZY_LOAD_MARGIN: '50px',
         NETWORK_CHECK_INTERVAL: 5000,
         FORM_LOAD_TIMEOUT: 10000,
+        
+        // Query key of the LeadConnector field to prefill with the triage
+        // summary. Empty until the form's field key is confirmed; the summary
+        // card's copy button covers it meanwhile.
+        FORM_SUMMARY_PARAM: '',
+        
+        // Origins allowed to post form events; compared exactly
+        FORM_MESSAGE_ORIGINS: ['https://api.leadconnectorhq.com', 'https://link.msgsndr.com'],
+        
+        // Abandonment prompt: arms after the form was visible this long or started,
+        // then shows at most RECOVERY_MAX_PROMPTS times, RECOVERY_COOLDOWN_HOURS apart
+        RECOVERY_STORAGE_KEY: 'fz_recovery',
+        RECOVERY_MIN_VISIBLE: 8000,
+        RECOVERY_COOLDOWN_HOURS: 72,
+        RECOVERY_MAX_PROMPTS: 3,
+        RECOVERY_SCROLL_VELOCITY: 2.5, // px/ms upwards on touch devices
+        
+        // Section dwell time, scroll depth and CTA clicks, summed per session
+        ENGAGEMENT_STORAGE_KEY: 'fz_engagement',
+        SCROLL_DEPTH_MILESTONES: [25, 50, 75, 100],
+        
+        // A/B tests. Variant weights are relative; `target` matches a
+        // data-experiment attribute in the markup. An experiment runs when its
+        // id is listed in <html data-experiments="...">, which the head script
+        // also reads to hide the targets before paint. The rest only run
+        // through the QA override: ?exp=hero-headline:outcome,hero-cta:direct
+        EXPERIMENT_STORAGE_KEY: 'fz_experiments',
+        EXPERIMENTS: [
+            {
+                id: 'hero-headline',
+                variants: { control: 1, outcome: 1 },
+                changes: {
+                    outcome: [{
+                        target: 'hero-title',
+                        html: {
+                            es: 'Tu cliente tiene un caso con la DIAN o la UGPP. <span class="gradient-text">Yo te respaldo para resolverlo</span>',
+                            en: 'Your client has a DIAN or UGPP case. <span class="gradient-text">I back you up to resolve it</span>'
+                        }
+                    }]
+                }
+            },
+            {
+                id: 'hero-cta',
+                variants: { control: 1, direct: 1 },
+                changes: {
+                    direct: [{
+                        target: 'hero-cta',
+                        text: { es: 'Quiero que revises el caso de mi cliente', en: 'I want you to review my client\'s case' }
+                    }]
+                }
+            },
+            {
+                id: 'urgency-badges',
+                variants: { control: 1, impact: 1 },
+                changes: {
+                    impact: [
+                        { target: 'urgency-critical', text: { es: 'PLAZO CORTO', en: 'SHORT DEADLINE' } },
+                        { target: 'urgency-high', text: { es: 'EXPOSICIÓN ALTA', en: 'HIGH EXPOSURE' } },
+                        { target: 'urgency-medium', text: { es: 'AHORRO POSIBLE', en: 'POSSIBLE SAVINGS' } }
+                    ]
+                }
+            }
+        ],
         SKELETON_MIN_DISPLAY: 800,
         DEBOUNCE_DELAY: 150,
-        THROTTLE_DELAY: 100
+        THROTTLE_DELAY: 100,
+        
+        // Quality governor: FPS is averaged over windows of one-second samples
+        QUALITY_SAMPLE_WINDOW: 5,
+        QUALITY_DOWNGRADE_FPS: 30,
+        QUALITY_UPGRADE_FPS: 50,
+        QUALITY_UPGRADE_WINDOWS: 2,
+        QUALITY_STORAGE_KEY: 'fz_quality',
+
+        // Lead capture (formulario nativo de respaldo)
+        LEAD_ENDPOINT: '',
+        LEAD_QUEUE_KEY: 'fz_lead_queue',
+        LEAD_REQUEST_TIMEOUT: 8000,
+        LEAD_RETRY_BASE_DELAY: 5000,
+        LEAD_RETRY_MAX_DELAY: 300000,
+        LEAD_MAX_ATTEMPTS: 20,
+        LEAD_MAX_AGE: 7 * 24 * 60 * 60 * 1000,
+        THANK_YOU_URL: 'gracias.html',
+        WHATSAPP_NUMBER: '573115054437',
+        WHATSAPP_WEB_ON_DESKTOP: true,
+        
+        // Office hours in America/Bogota by weekday (0 = Sunday), as 'HH:MM'
+        // ranges. Colombian holidays are always closed.
+        BUSINESS_HOURS: {
+            1: [['08:00', '18:00']],
+            2: [['08:00', '18:00']],
+            3: [['08:00', '18:00']],
+            4: [['08:00', '18:00']],
+            5: [['08:00', '18:00']]
+        },
+        RESPONSE_TIME_HOURS: [2, 4], // business hours
+        AVAILABILITY_CLOSING_SOON: 30, // minutes
+        
+        // Call booking; without a slots source only the form is shown.
+        // Local stub: window.FormaliZESEConfig = { BOOKING_SLOTS_URL: 'data/agenda.json' }
+        BOOKING_SLOTS_URL: '',
+        BOOKING_HOLD_URL: '', // POST { slotId, start, reference }; empty means nothing is held
+        BOOKING_HOLD_MINUTES: 10,
+        BOOKING_MIN_NOTICE: 60, // minutes
+        BOOKING_MAX_DAYS: 5,
+        BOOKING_STORAGE_KEY: 'fz_booking',
+        
+        // Act PDFs are read on the device; they are only sent to
+        // ACT_UPLOAD_URL (multipart: file, reference) when the contador opts in
+        ACT_READER_MAX_MB: 15,
+        ACT_READER_MAX_PAGES: 10,
+        PDFJS_URL: 'js/vendor/pdfjs/pdf.min.mjs',
+        PDFJS_WORKER_URL: 'js/vendor/pdfjs/pdf.worker.min.mjs',
+        ACT_UPLOAD_URL: '',
+        
+        TAX_PARAMETERS_URL: 'data/parametros-tributarios.json',
+        
+        // Analytics. The Google tag and Meta Pixel load only once their
+        // consent category is granted; an empty id leaves them off.
+        GA_MEASUREMENT_ID: '',
+        META_PIXEL_ID: '',
+        ANALYTICS_BEACON_ENDPOINT: '',
+        ANALYTICS_BUFFER_LIMIT: 100,
+        ANALYTICS_READY_MAX_DELAY: 10000,
+        
+        // Habeas Data consent; bump the version when the policy changes
+        CONSENT_STORAGE_KEY: 'fz_consent',
+        CONSENT_VERSION: '2026-10',
+        
+        // Editable copy (testimonials, ticker, metrics, problem cards)
+        CONTENT_URL: 'data/contenido.json',
+        CONTENT_REQUEST_TIMEOUT: 3000,
+        
+        // "Consultas Activas" source; empty shows the last known value
+        LIVE_METRICS_URL: '',
+        LIVE_METRICS_INTERVAL: 60000,
+        LIVE_METRICS_MAX_INTERVAL: 600000,
+        LIVE_METRICS_CACHE_KEY: 'fz_live_metrics',
+        
+        // Success ticker reading pace, in pixels per second
+        TICKER_SPEED: 50,
+        
+        // Language choice; page copy for non-Spanish languages lives in I18N_URL/<lang>.json
+        LANGUAGE_STORAGE_KEY: 'fz_lang',
+        I18N_URL: 'data/i18n',
+        
+        // Core Web Vitals beacon; empty collects without sending
+        WEB_VITALS_ENDPOINT: '',
+        
+        // Toasts; a duration of 0 keeps them until dismissed
+        NOTIFICATION_DURATION: 5000,
+        NOTIFICATION_MAX_VISIBLE: 3,
+        
+        // Error reports; the sample rate is decided once per page view
+        ERROR_REPORT_ENDPOINT: '',
+        ERROR_SAMPLE_RATE: 1,
+        ERROR_MAX_REPORTS: 10,
+        ERROR_BREADCRUMB_LIMIT: 30
+    };
+
+    // Overrides por página (ej. endpoint de staging o stub local):
+    // <script>window.FormaliZESEConfig = { LEAD_ENDPOINT: 'http://localhost:8787/leads' };</script>
+    if (window.FormaliZESEConfig && typeof window.FormaliZESEConfig === 'object') {
+        Object.assign(CONFIG, window.FormaliZESEConfig);
+    }
+
+    // ====================================
+    // INTERNATIONALIZATION
+    // ====================================
+    // Strings built by this file live in MESSAGES. Page copy stays in the
+    // HTML (Spanish) and data/i18n/<lang>.json, applied to elements marked
+    // data-i18n (inner HTML) or data-i18n-attr="attr:key;attr:key".
+    // Missing keys fall back to Spanish; array values are plural forms
+    // [one, other] picked by the `count` param.
+    const LANGUAGES = {
+        es: { name: 'Español', locale: 'es-CO' },
+        en: { name: 'English', locale: 'en-US' }
+    };
+    
+    const MESSAGES = {
+        es: {
+            'language.label': 'Idioma',
+            'common.close': 'Cerrar',
+            
+            'form.loading': 'Cargando formulario',
+            'form.retrying': 'Reintentando conexión...',
+            'form.received': '¡Información recibida! Te contactaremos en menos de 24 horas.',
+            
+            'notify.openWhatsApp': 'Abrir WhatsApp',
+            
+            'leads.online': 'Conexión restablecida. Enviando consultas pendientes...',
+            'leads.pending': [
+                '{count} consulta pendiente de envío. Reintentaremos automáticamente.',
+                '{count} consultas pendientes de envío. Reintentaremos automáticamente.'
+            ],
+            'leads.sent': [
+                '{count} consulta pendiente enviada correctamente.',
+                '{count} consultas pendientes enviadas correctamente.'
+            ],
+            
+            'case.dian': 'Requerimiento DIAN',
+            'case.ugpp': 'Proceso UGPP',
+            'case.estructuracion': 'Estructuración fiscal',
+            
+            'fallback.title': 'Cuéntame el caso de tu cliente',
+            'fallback.intro': 'El formulario principal no cargó. Usa este formulario y recibirás respuesta igual en menos de 24 horas.',
+            'fallback.introWhatsApp': 'El formulario principal no cargó. Escribe tu consulta aquí y la pasamos a WhatsApp con tus datos ya escritos.',
+            'fallback.name': 'Nombre completo',
+            'fallback.email': 'Correo electrónico',
+            'fallback.caseType': 'Tipo de caso',
+            'fallback.selectOption': 'Selecciona una opción',
+            'fallback.description': 'Describe el caso',
+            'fallback.descriptionPlaceholder': 'Tipo de acto, fecha de notificación, valores en discusión...',
+            'fallback.submit': 'Enviar consulta',
+            'fallback.submitWhatsApp': 'Enviar por WhatsApp',
+            'fallback.errorName': 'Escribe tu nombre completo.',
+            'fallback.errorEmail': 'Escribe un correo válido.',
+            'fallback.errorWhatsApp': 'Escribe un número de celular colombiano de 10 dígitos.',
+            'fallback.errorCaseType': 'Selecciona el tipo de caso.',
+            'fallback.errorDescription': 'Cuéntame un poco más del caso (mínimo 20 caracteres).',
+            'fallback.sending': 'Enviando consulta...',
+            'fallback.sent': '¡Consulta enviada! Te contactaremos en menos de 24 horas.',
+            'fallback.queued': 'No pudimos confirmar el envío. Tu consulta quedó guardada en este dispositivo y la enviaremos apenas haya conexión.',
+            'fallback.queuedNotice': 'Consulta guardada. La enviaremos automáticamente.',
+            'fallback.notSaved': 'No pudimos enviar tu consulta ni guardarla en este dispositivo. Inténtalo de nuevo o escríbeme por WhatsApp.',
+            'fallback.notSavedNotice': 'Tu consulta no se envió. Escríbeme por WhatsApp para no perderla.',
+            'fallback.handedOff': 'Abrimos WhatsApp con tu consulta escrita. Envía el mensaje allí: desde esta página no se guarda ni se envía.',
+            'fallback.handedOffNotice': '¿No se abrió WhatsApp? Ábrelo desde aquí con tu consulta.',
+            'recovery.title': '¿Te quedó algo pendiente?',
+            'recovery.text': 'Sigue por WhatsApp con el contexto de tu caso o déjame tu número y te llamo.',
+            'recovery.textWhatsApp': 'Sigue por WhatsApp con el contexto de tu caso y lo revisamos juntos.',
+            'recovery.whatsapp': 'Seguir por WhatsApp',
+            'recovery.callback': 'Prefiero que me llamen',
+            'recovery.name': 'Nombre',
+            'recovery.phone': 'Celular',
+            'recovery.time': 'Mejor horario',
+            'recovery.morning': 'Mañana (8 a. m. a 12 m.)',
+            'recovery.afternoon': 'Tarde (2 p. m. a 6 p. m.)',
+            'recovery.submit': 'Solicitar llamada',
+            'recovery.sent': 'Listo. Te llamaré en el horario que elegiste.',
+            'recovery.description': 'Solicitud de llamada. Horario preferido: {value}',
+            
+            'holiday.newYear': 'Año Nuevo',
+            'holiday.epiphany': 'Día de los Reyes Magos',
+            'holiday.saintJoseph': 'Día de San José',
+            'holiday.holyThursday': 'Jueves Santo',
+            'holiday.goodFriday': 'Viernes Santo',
+            'holiday.labour': 'Día del Trabajo',
+            'holiday.ascension': 'Ascensión del Señor',
+            'holiday.corpusChristi': 'Corpus Christi',
+            'holiday.sacredHeart': 'Sagrado Corazón',
+            'holiday.peterPaul': 'San Pedro y San Pablo',
+            'holiday.independence': 'Día de la Independencia',
+            'holiday.boyaca': 'Batalla de Boyacá',
+            'holiday.assumption': 'La Asunción de la Virgen',
+            'holiday.raza': 'Día de la Raza',
+            'holiday.allSaints': 'Día de Todos los Santos',
+            'holiday.cartagena': 'Independencia de Cartagena',
+            'holiday.immaculate': 'Día de la Inmaculada Concepción',
+            'holiday.christmas': 'Navidad',
+            
+            'unit.days': ['{count} día', '{count} días'],
+            'unit.calendarDays': ['{count} día calendario', '{count} días calendario'],
+            'unit.businessDays': ['{count} día hábil', '{count} días hábiles'],
+            'unit.months': ['{count} mes', '{count} meses'],
+            
+            'act.requerimiento_ordinario': 'Requerimiento ordinario de información',
+            'act.emplazamiento_corregir': 'Emplazamiento para corregir',
+            'act.emplazamiento_declarar': 'Emplazamiento para declarar',
+            'act.pliego_cargos': 'Pliego de cargos',
+            'act.requerimiento_especial': 'Requerimiento especial',
+            'act.liquidacion_oficial_dian': 'Liquidación oficial (recurso de reconsideración)',
+            'act.requerimiento_ugpp': 'Requerimiento para declarar y/o corregir UGPP',
+            'act.liquidacion_oficial_ugpp': 'Liquidación oficial UGPP (recurso de reconsideración)',
+            'act.otro': 'Otro (plazo en días hábiles)',
+            
+            'deadline.title': 'Calcula el plazo real de tu cliente',
+            'deadline.intro': 'Días hábiles en Colombia, con festivos y traslados de la Ley Emiliani.',
+            'deadline.date': 'Fecha de notificación',
+            'deadline.act': 'Tipo de acto',
+            'deadline.selectAct': 'Selecciona el acto recibido',
+            'deadline.customDays': 'Plazo en días hábiles',
+            'deadline.submit': 'Calcular vencimiento',
+            'deadline.errorDate': 'Indica la fecha en que se notificó el acto.',
+            'deadline.errorAct': 'Selecciona el tipo de acto.',
+            'deadline.errorDays': 'Indica el plazo en días hábiles.',
+            'deadline.expired': 'El plazo venció hace {days}.',
+            'deadline.dueToday': 'El plazo vence hoy.',
+            'deadline.remaining': ['día hábil restante', 'días hábiles restantes'],
+            'deadline.holidays': 'Festivos en el periodo: {list}',
+            'deadline.dueLabel': 'Vence el',
+            'deadline.term': 'Plazo: {term}',
+            'deadline.ics': 'Agregar a mi calendario (.ics)',
+            'deadline.disclaimer': 'Cálculo orientativo. Verifica siempre el término indicado en el acto y la forma de notificación.',
+            'deadline.icsTitle': 'Vence plazo: {act}',
+            'deadline.icsServed': 'Notificado el {date}.',
+            'deadline.icsFooter': 'Calculado en formalizese.com. Verifica el término indicado en el acto.',
+            'deadline.icsFilename': 'vencimiento-{date}.ics',
+            'booking.title': 'Agenda una llamada',
+            'booking.intro': 'Elige un espacio de {minutes} minutos para revisar conmigo el caso de tu cliente.',
+            'booking.timezone': 'Horarios en tu zona horaria ({zone}).',
+            'booking.bogota': 'Bogotá {time}',
+            'booking.holding': 'Reservando el horario...',
+            'booking.held': 'Te guardo este espacio por {time}.',
+            'booking.taken': 'Ese horario se acaba de ocupar. Elige otro.',
+            'booking.holdFailed': 'No pude reservar el horario. Intenta de nuevo o usa el formulario.',
+            'booking.expired': 'El tiempo de reserva terminó. Elige de nuevo tu horario.',
+            'booking.change': 'Cambiar horario',
+            'booking.unheld': 'Este horario aún no queda reservado: lo confirmamos por WhatsApp.',
+            'booking.confirm': 'Confirmar llamada',
+            'booking.request': 'Solicitar este horario',
+            'booking.confirmedTitle': 'Llamada reservada',
+            'booking.confirmedHint': 'Agrégala a tu calendario. Si necesitas cambiarla, escríbeme por WhatsApp.',
+            'booking.requestedTitle': 'Falta confirmar tu llamada',
+            'booking.requestedHint': 'El horario aún no está reservado. Envíame el mensaje por WhatsApp y te confirmo el espacio.',
+            'booking.whatsapp': 'Confirmar por WhatsApp',
+            'booking.whatsappBooked': 'Escribir por WhatsApp',
+            'booking.ics': 'Agregar a mi calendario (.ics)',
+            'booking.icsTitle': 'Llamada con Daniel Balaguera (FormaliZESE)',
+            'booking.icsTitlePending': 'Por confirmar: llamada con Daniel Balaguera (FormaliZESE)',
+            'booking.icsDescription': 'Revisión del caso de tu cliente. Ref: {reference}',
+            'booking.icsFilename': 'llamada-formalizese-{date}.ics',
+            'booking.whatsappIntro': 'Hola Daniel, reservé una llamada para el {when} (hora de Bogotá).',
+            'booking.whatsappRequest': 'Hola Daniel, quiero agendar una llamada para el {when} (hora de Bogotá). ¿Me confirmas el espacio?',
+            'booking.whatsappName': 'Mi nombre es {name}.',
+            'booking.leadDescription': 'Horario solicitado para la llamada: {when} (hora de Bogotá).',
+            
+            'triage.amountLt50': 'Menos de $50 millones',
+            'triage.amount50to500': 'Entre $50 y $500 millones',
+            'triage.amount500to2000': 'Entre $500 y $2.000 millones',
+            'triage.amountGt2000': 'Más de $2.000 millones',
+            'triage.amountUnknown': 'Aún no lo sé',
+            'triage.deadlineExpired': 'Ya venció',
+            'triage.deadlineLte5': '5 días hábiles o menos',
+            'triage.deadline6to15': 'Entre 6 y 15 días hábiles',
+            'triage.deadlineGt15': 'Más de 15 días hábiles',
+            'triage.deadlineNone': 'No hay plazo / no lo sé',
+            'triage.cta': 'Evaluar el caso de mi cliente',
+            'triage.title': 'Evaluemos el caso de tu cliente',
+            'triage.noAct': 'No ha recibido ningún acto (prevención)',
+            'triage.yearsBefore': 'Antes de {year}',
+            'triage.questionAct': '¿Qué acto recibió tu cliente?',
+            'triage.questionAmount': '¿Cuánto está en discusión (impuesto + sanciones)?',
+            'triage.questionYears': '¿Qué años gravables o periodos están involucrados?',
+            'triage.questionDeadline': '¿Cuánto tiempo queda para responder?',
+            'triage.step': 'Paso {current} de {total}',
+            'triage.back': 'Atrás',
+            'triage.next': 'Siguiente',
+            'triage.result': 'Ver resultado',
+            'triage.errorYears': 'Selecciona al menos un periodo.',
+            'triage.errorOption': 'Selecciona una opción para continuar.',
+            'triage.level': 'Urgencia {level}',
+            'triage.toForm': 'Ir al formulario con el resumen',
+            'triage.toWhatsApp': 'Escribir por WhatsApp',
+            'triage.toBooking': 'Agendar una llamada',
+            
+            'urgency.critical': 'Crítica',
+            'urgency.criticalText': 'Hay que actuar de inmediato. Escríbeme por WhatsApp con el resumen del caso.',
+            'urgency.high': 'Alta',
+            'urgency.highText': 'Conviene empezar esta semana. Envía el formulario con el resumen y lo priorizo.',
+            'urgency.medium': 'Moderada',
+            'urgency.mediumText': 'Hay tiempo para preparar una estrategia sólida. Envía el formulario con el resumen.',
+            
+            'summary.urgency': 'Urgencia: {value}',
+            'summary.case': 'Caso: {value}',
+            'summary.act': 'Acto: {value}',
+            'summary.noAct': 'Sin acto notificado',
+            'summary.amount': 'Valor en discusión: {value}',
+            'summary.periods': 'Periodos: {value}',
+            'summary.yearsBefore': 'antes de {year}',
+            'summary.deadline': 'Plazo: {value}',
+            'summary.dueDate': 'Vencimiento calculado: {value}',
+            'reader.title': '¿Ya tienes el acto en PDF?',
+            'reader.intro': 'Arrástralo aquí o elígelo y lleno por ti el tipo de acto, la fecha de notificación y el resumen.',
+            'reader.privacy': 'El PDF se lee en tu navegador y no sale de tu dispositivo.',
+            'reader.choose': 'Elegir PDF',
+            'reader.reading': 'Leyendo {file}...',
+            'reader.notPdf': 'Ese archivo no es un PDF.',
+            'reader.tooLarge': 'El PDF pesa más de {size} MB.',
+            'reader.encrypted': 'El PDF está protegido con contraseña. Llena los datos a mano.',
+            'reader.noText': 'No encontré texto en el PDF (¿es un escaneo?). Llena los datos a mano.',
+            'reader.failed': 'No pude leer el PDF. Llena los datos a mano.',
+            'reader.review': 'Revisa lo que encontré en {file}',
+            'reader.reviewHint': 'Corrige lo que haga falta antes de usarlo.',
+            'reader.act': 'Tipo de acto',
+            'reader.reference': 'Expediente / radicado',
+            'reader.notificationDate': 'Fecha de notificación',
+            'reader.period': 'Periodo gravable',
+            'reader.amount': 'Valor en discusión',
+            'reader.noAmount': 'Sin valor',
+            'reader.attach': 'Adjuntar también el PDF a mi consulta (se envía a Daniel)',
+            'reader.apply': 'Usar estos datos',
+            'reader.discard': 'Descartar',
+            'reader.applied': 'Listo: llené el plazo y el resumen de tu caso.',
+            'reader.uploaded': 'PDF adjuntado a tu consulta.',
+            'reader.uploadFailed': 'No pude adjuntar el PDF. Envíalo por WhatsApp si quieres que Daniel lo revise.',
+            'summary.reference': 'Expediente: {value}',
+            'summary.document': 'Documento: {value}',
+            'summary.title': 'Resumen de tu caso',
+            'summary.copy': 'Copiar resumen',
+            'summary.copied': '¡Copiado!',
+            'summary.hint': 'Pégalo en la descripción del formulario para que Daniel lo revise con prioridad.',
+            'summary.hintPrefilled': 'Ya va en la descripción del formulario. Si no aparece, pégalo ahí para que Daniel lo revise con prioridad.',
+            
+            'whatsapp.introHero': 'Hola Daniel, soy contador y tengo un cliente con un caso complejo.',
+            'whatsapp.introFooter': 'Daniel, soy contador y necesito apoyo con un caso complejo de mi cliente.',
+            'whatsapp.introFloat': 'Hola Daniel, soy contador y tengo un caso complejo.',
+            'whatsapp.introTriage': 'Hola Daniel, soy contador. Hice la evaluación del caso en FormaliZESE.',
+            'whatsapp.introGracias': 'Hola Daniel, acabo de enviar mi consulta por el formulario. Mi nombre es...',
+            'whatsapp.introRecovery': 'Hola Daniel, soy contador. Empecé el formulario en FormaliZESE y prefiero seguir por aquí.',
+            'whatsapp.introFallback': 'Hola Daniel, soy contador. El formulario no cargó, así que te envío mi consulta por aquí.',
+            'whatsapp.name': 'Nombre: {value}',
+            'whatsapp.email': 'Correo: {value}',
+            'whatsapp.due': 'Vence: {value}',
+            'whatsapp.exposure': 'Exposición estimada: {value}',
+            'whatsapp.section': 'Escribo desde: {value}',
+            
+            'section.hero': 'Inicio',
+            'section.problemas': 'Situaciones críticas',
+            'section.consecuencias': 'Consecuencias y plazos',
+            'section.soluciones': 'Soluciones',
+            'section.beneficios': 'Beneficios',
+            'section.casos': 'Casos reales',
+            'section.formulario': 'Formulario de consulta',
+            'section.ctaFinal': 'Llamado final',
+            'section.gracias': 'Página de gracias',
+            
+            'consent.necessary': 'Necesarias',
+            'consent.necessaryText': 'Formulario de contacto (LeadConnector), tus preferencias de privacidad y el contexto del caso durante la visita. Siempre activas.',
+            'consent.analytics': 'Analítica',
+            'consent.analyticsText': 'Medición de visitas y del uso de las herramientas para mejorar el sitio (Google Analytics).',
+            'consent.marketing': 'Marketing',
+            'consent.marketingText': 'Píxeles y scripts de terceros que miden campañas (Meta Pixel).',
+            'consent.bannerLabel': 'Privacidad y tratamiento de datos',
+            'consent.bannerText': '<strong>Tus datos, tu decisión.</strong> Usamos cookies necesarias para que el sitio funcione y, solo si lo autorizas, herramientas de analítica y marketing. Tratamos tus datos conforme a la Ley 1581 de 2012 (Habeas Data) y puedes cambiar tu elección en cualquier momento desde el pie de página.',
+            'consent.configure': 'Configurar',
+            'consent.onlyNecessary': 'Solo necesarias',
+            'consent.acceptAll': 'Aceptar todas',
+            'consent.law': 'Ley 1581 de 2012',
+            'consent.title': 'Preferencias de privacidad',
+            'consent.updated': 'Última actualización: {date}',
+            'consent.save': 'Guardar preferencias',
+            
+            'exposure.title': 'Estima la exposición de tu cliente',
+            'exposure.intro': 'Sanción, sanción mínima e intereses moratorios con parámetros vigentes.',
+            'exposure.type': 'Tipo de sanción',
+            'exposure.months': 'Meses de mora',
+            'exposure.uvt': 'Valor UVT {year}',
+            'exposure.submit': 'Calcular exposición',
+            'exposure.version': 'Parámetros v{version} · actualizados el {date}',
+            'exposure.errorAmount': 'Indica el valor en discusión.',
+            'exposure.errorUVT': 'Indica el valor de la UVT.',
+            'exposure.minimum': 'Sanción mínima ({uvt} UVT, Art. 639 E.T.)',
+            'exposure.capped': 'Sanción (tope de {uvt} UVT, {reference})',
+            'exposure.monthly': 'Sanción ({rate} × {months} = {total}, {reference})',
+            'exposure.proportional': 'Sanción ({rate}, {reference})',
+            'exposure.interest': 'Intereses moratorios ({months}, {rate} E.A.)',
+            'exposure.total': 'Exposición total estimada',
+            'exposure.scenarios': 'Otros escenarios',
+            'exposure.scenario': 'Sanción {sanction} · Total {total}',
+            'exposure.copy': 'Copiar desglose para el cliente',
+            'exposure.copied': '¡Desglose copiado!',
+            'exposure.disclaimer': 'Estimación orientativa con parámetros v{version}. No incluye actualización de sanciones ni reducciones por gradualidad (Art. 640 E.T.).',
+            'exposure.textTitle': 'Estimación de exposición - {label}',
+            'exposure.textTotal': 'TOTAL ESTIMADO: {value}',
+            'exposure.textScenario': '- {label}: sanción {sanction}, total {total}',
+            'exposure.textFooter': 'Parámetros v{version}. Cálculo orientativo - FormaliZESE.',
+            
+            'story.problem': 'Situación:',
+            'story.solution': 'Mi apoyo:',
+            'story.result': 'Resultado:',
+            
+            'number.billions': 'mil millones',
+            'number.millions': 'millones',
+            'number.thousands': 'mil',
+            'number.pesos': '{amount} de pesos',
+            
+            'live.updated': 'Actualizado {date}',
+            'availability.open': 'Disponible ahora',
+            'availability.closing': 'Disponible hasta las {time}',
+            'availability.closed': 'Fuera de horario · vuelvo {when}',
+            'availability.holiday': 'Festivo · vuelvo {when}',
+            'availability.today': 'hoy a las {time}',
+            'availability.tomorrow': 'mañana a las {time}',
+            'availability.weekday': 'el {day} a las {time}',
+            'availability.todayBefore': 'hoy antes de las {time}',
+            'availability.tomorrowBefore': 'mañana antes de las {time}',
+            'availability.weekdayBefore': 'el {day} antes de las {time}',
+            'availability.tooltipOpen': 'Respondo en minutos',
+            'availability.tooltipClosing': 'Escríbeme antes de las {time}',
+            'availability.tooltipClosed': 'Déjame tu caso y te respondo {when}',
+            'availability.responseOpen': '⏱️ Tiempo promedio de respuesta actual: <strong>{min}-{max} horas</strong> en horario laboral',
+            'availability.responseBy': '⏱️ Respuesta estimada: <strong>{when}</strong>',
+            'availability.responseLater': '⏱️ Recibimos tu consulta fuera de horario. Respuesta estimada: <strong>{when}</strong>',
+            
+            'ticker.label': 'Casos resueltos recientes',
+            'ticker.pause': 'Pausar',
+            'ticker.resume': 'Reanudar',
+            'ticker.pauseLabel': 'Pausar casos en movimiento',
+            'ticker.resumeLabel': 'Reanudar casos en movimiento'
+        },
+        en: {
+            'language.label': 'Language',
+            'common.close': 'Close',
+            
+            'form.loading': 'Loading form',
+            'form.retrying': 'Retrying connection...',
+            'form.received': 'Information received! We will contact you within 24 hours.',
+            
+            'notify.openWhatsApp': 'Open WhatsApp',
+            
+            'leads.online': 'Connection restored. Sending pending requests...',
+            'leads.pending': [
+                '{count} request waiting to be sent. We will retry automatically.',
+                '{count} requests waiting to be sent. We will retry automatically.'
+            ],
+            'leads.sent': [
+                '{count} pending request sent successfully.',
+                '{count} pending requests sent successfully.'
+            ],
+            
+            'case.dian': 'DIAN inquiry',
+            'case.ugpp': 'UGPP proceeding',
+            'case.estructuracion': 'Tax structuring',
+            
+            'fallback.title': 'Tell me about your client\'s case',
+            'fallback.intro': 'The main form did not load. Use this form instead and you will still hear back within 24 hours.',
+            'fallback.introWhatsApp': 'The main form did not load. Write your request here and we will move it to WhatsApp with your details filled in.',
+            'fallback.name': 'Full name',
+            'fallback.email': 'Email',
+            'fallback.caseType': 'Case type',
+            'fallback.selectOption': 'Select an option',
+            'fallback.description': 'Describe the case',
+            'fallback.descriptionPlaceholder': 'Type of notice, date served, amounts in dispute...',
+            'fallback.submit': 'Send request',
+            'fallback.submitWhatsApp': 'Send via WhatsApp',
+            'fallback.errorName': 'Enter your full name.',
+            'fallback.errorEmail': 'Enter a valid email address.',
+            'fallback.errorWhatsApp': 'Enter a 10-digit Colombian mobile number.',
+            'fallback.errorCaseType': 'Select the case type.',
+            'fallback.errorDescription': 'Tell me a little more about the case (at least 20 characters).',
+            'fallback.sending': 'Sending request...',
+            'fallback.sent': 'Request sent! We will contact you within 24 hours.',
+            'fallback.queued': 'We could not confirm delivery. Your request is saved on this device and will be sent as soon as you are back online.',
+            'fallback.queuedNotice': 'Request saved. We will send it automatically.',
+            'fallback.notSaved': 'We could not send your request or save it on this device. Try again or message me on WhatsApp.',
+            'fallback.notSavedNotice': 'Your request was not sent. Message me on WhatsApp so it is not lost.',
+            'fallback.handedOff': 'We opened WhatsApp with your request written out. Send the message there: this page does not save or send it.',
+            'fallback.handedOffNotice': 'WhatsApp did not open? Open it from here with your request.',
+            'recovery.title': 'Anything left unfinished?',
+            'recovery.text': 'Continue on WhatsApp with your case details, or leave your number and I will call you.',
+            'recovery.textWhatsApp': 'Continue on WhatsApp with your case details and we will review it together.',
+            'recovery.whatsapp': 'Continue on WhatsApp',
+            'recovery.callback': 'I would rather get a call',
+            'recovery.name': 'Name',
+            'recovery.phone': 'Mobile',
+            'recovery.time': 'Best time',
+            'recovery.morning': 'Morning (8 a.m. to 12 p.m.)',
+            'recovery.afternoon': 'Afternoon (2 p.m. to 6 p.m.)',
+            'recovery.submit': 'Request a call',
+            'recovery.sent': 'Done. I will call you at the time you chose.',
+            'recovery.description': 'Callback request. Preferred time: {value}',
+            
+            'holiday.newYear': 'New Year\'s Day',
+            'holiday.epiphany': 'Epiphany',
+            'holiday.saintJoseph': 'Saint Joseph\'s Day',
+            'holiday.holyThursday': 'Maundy Thursday',
+            'holiday.goodFriday': 'Good Friday',
+            'holiday.labour': 'Labour Day',
+            'holiday.ascension': 'Ascension Day',
+            'holiday.corpusChristi': 'Corpus Christi',
+            'holiday.sacredHeart': 'Sacred Heart',
+            'holiday.peterPaul': 'Saints Peter and Paul',
+            'holiday.independence': 'Independence Day',
+            'holiday.boyaca': 'Battle of Boyacá',
+            'holiday.assumption': 'Assumption of Mary',
+            'holiday.raza': 'Columbus Day',
+            'holiday.allSaints': 'All Saints\' Day',
+            'holiday.cartagena': 'Independence of Cartagena',
+            'holiday.immaculate': 'Immaculate Conception',
+            'holiday.christmas': 'Christmas Day',
+            
+            'unit.days': ['{count} day', '{count} days'],
+            'unit.calendarDays': ['{count} calendar day', '{count} calendar days'],
+            'unit.businessDays': ['{count} business day', '{count} business days'],
+            'unit.months': ['{count} month', '{count} months'],
+            
+            'act.requerimiento_ordinario': 'Ordinary information request (requerimiento ordinario)',
+            'act.emplazamiento_corregir': 'Summons to amend a return (emplazamiento para corregir)',
+            'act.emplazamiento_declarar': 'Summons to file a return (emplazamiento para declarar)',
+            'act.pliego_cargos': 'Statement of charges (pliego de cargos)',
+            'act.requerimiento_especial': 'Special request (requerimiento especial)',
+            'act.liquidacion_oficial_dian': 'Official assessment (reconsideration appeal)',
+            'act.requerimiento_ugpp': 'UGPP request to file and/or amend',
+            'act.liquidacion_oficial_ugpp': 'UGPP official assessment (reconsideration appeal)',
+            'act.otro': 'Other (term in business days)',
+            
+            'deadline.title': 'Calculate your client\'s actual deadline',
+            'deadline.intro': 'Colombian business days, including public holidays moved under the Ley Emiliani.',
+            'deadline.date': 'Date served',
+            'deadline.act': 'Type of notice',
+            'deadline.selectAct': 'Select the notice received',
+            'deadline.customDays': 'Term in business days',
+            'deadline.submit': 'Calculate due date',
+            'deadline.errorDate': 'Enter the date the notice was served.',
+            'deadline.errorAct': 'Select the type of notice.',
+            'deadline.errorDays': 'Enter the term in business days.',
+            'deadline.expired': 'The deadline passed {days} ago.',
+            'deadline.dueToday': 'The deadline is today.',
+            'deadline.remaining': ['business day left', 'business days left'],
+            'deadline.holidays': 'Public holidays in the period: {list}',
+            'deadline.dueLabel': 'Due on',
+            'deadline.term': 'Term: {term}',
+            'deadline.ics': 'Add to my calendar (.ics)',
+            'deadline.disclaimer': 'Indicative calculation. Always check the term stated in the notice and how it was served.',
+            'deadline.icsTitle': 'Deadline: {act}',
+            'deadline.icsServed': 'Served on {date}.',
+            'deadline.icsFooter': 'Calculated at formalizese.com. Check the term stated in the notice.',
+            'deadline.icsFilename': 'deadline-{date}.ics',
+            'booking.title': 'Book a call',
+            'booking.intro': 'Pick a {minutes}-minute slot to review your client\'s case with me.',
+            'booking.timezone': 'Times shown in your time zone ({zone}).',
+            'booking.bogota': 'Bogotá {time}',
+            'booking.holding': 'Holding the slot...',
+            'booking.held': 'I am holding this slot for {time}.',
+            'booking.taken': 'That slot was just taken. Please pick another one.',
+            'booking.holdFailed': 'I could not hold the slot. Try again or use the form.',
+            'booking.expired': 'The hold expired. Please pick your slot again.',
+            'booking.change': 'Change time',
+            'booking.unheld': 'This slot is not reserved yet: we will confirm it on WhatsApp.',
+            'booking.confirm': 'Confirm call',
+            'booking.request': 'Request this slot',
+            'booking.confirmedTitle': 'Call booked',
+            'booking.confirmedHint': 'Add it to your calendar. If you need to change it, message me on WhatsApp.',
+            'booking.requestedTitle': 'Your call still needs confirming',
+            'booking.requestedHint': 'The slot is not reserved yet. Send me the message on WhatsApp and I will confirm it.',
+            'booking.whatsapp': 'Confirm on WhatsApp',
+            'booking.whatsappBooked': 'Message me on WhatsApp',
+            'booking.ics': 'Add to my calendar (.ics)',
+            'booking.icsTitle': 'Call with Daniel Balaguera (FormaliZESE)',
+            'booking.icsTitlePending': 'To be confirmed: call with Daniel Balaguera (FormaliZESE)',
+            'booking.icsDescription': 'Review of your client\'s case. Ref: {reference}',
+            'booking.icsFilename': 'formalizese-call-{date}.ics',
+            'booking.whatsappIntro': 'Hi Daniel, I booked a call for {when} (Bogotá time).',
+            'booking.whatsappRequest': 'Hi Daniel, I would like to book a call for {when} (Bogotá time). Can you confirm the slot?',
+            'booking.whatsappName': 'My name is {name}.',
+            'booking.leadDescription': 'Requested call time: {when} (Bogotá time).',
+            
+            'triage.amountLt50': 'Less than COP 50 million',
+            'triage.amount50to500': 'COP 50 to 500 million',
+            'triage.amount500to2000': 'COP 500 to 2,000 million',
+            'triage.amountGt2000': 'More than COP 2,000 million',
+            'triage.amountUnknown': 'I don\'t know yet',
+            'triage.deadlineExpired': 'Already passed',
+            'triage.deadlineLte5': '5 business days or fewer',
+            'triage.deadline6to15': '6 to 15 business days',
+            'triage.deadlineGt15': 'More than 15 business days',
+            'triage.deadlineNone': 'No deadline / I don\'t know',
+            'triage.cta': 'Assess my client\'s case',
+            'triage.title': 'Let\'s assess your client\'s case',
+            'triage.noAct': 'No notice received yet (prevention)',
+            'triage.yearsBefore': 'Before {year}',
+            'triage.questionAct': 'Which notice did your client receive?',
+            'triage.questionAmount': 'How much is in dispute (tax + penalties)?',
+            'triage.questionYears': 'Which tax years or periods are involved?',
+            'triage.questionDeadline': 'How much time is left to respond?',
+            'triage.step': 'Step {current} of {total}',
+            'triage.back': 'Back',
+            'triage.next': 'Next',
+            'triage.result': 'See result',
+            'triage.errorYears': 'Select at least one period.',
+            'triage.errorOption': 'Select an option to continue.',
+            'triage.level': '{level} urgency',
+            'triage.toForm': 'Go to the form with the summary',
+            'triage.toWhatsApp': 'Message me on WhatsApp',
+            'triage.toBooking': 'Book a call',
+            
+            'urgency.critical': 'Critical',
+            'urgency.criticalText': 'Act immediately. Message me on WhatsApp with the case summary.',
+            'urgency.high': 'High',
+            'urgency.highText': 'Best to start this week. Send the form with the summary and I will prioritize it.',
+            'urgency.medium': 'Moderate',
+            'urgency.mediumText': 'There is time to prepare a solid strategy. Send the form with the summary.',
+            
+            'summary.urgency': 'Urgency: {value}',
+            'summary.case': 'Case: {value}',
+            'summary.act': 'Notice: {value}',
+            'summary.noAct': 'No notice served',
+            'summary.amount': 'Amount in dispute: {value}',
+            'summary.periods': 'Periods: {value}',
+            'summary.yearsBefore': 'before {year}',
+            'summary.deadline': 'Deadline: {value}',
+            'summary.dueDate': 'Calculated due date: {value}',
+            'reader.title': 'Already have the act as a PDF?',
+            'reader.intro': 'Drop it here or choose it and I will fill in the act type, notification date and summary for you.',
+            'reader.privacy': 'The PDF is read in your browser and never leaves your device.',
+            'reader.choose': 'Choose PDF',
+            'reader.reading': 'Reading {file}...',
+            'reader.notPdf': 'That file is not a PDF.',
+            'reader.tooLarge': 'The PDF is larger than {size} MB.',
+            'reader.encrypted': 'The PDF is password-protected. Please fill in the details by hand.',
+            'reader.noText': 'I found no text in the PDF (is it a scan?). Please fill in the details by hand.',
+            'reader.failed': 'I could not read the PDF. Please fill in the details by hand.',
+            'reader.review': 'Check what I found in {file}',
+            'reader.reviewHint': 'Fix anything that is off before using it.',
+            'reader.act': 'Act type',
+            'reader.reference': 'Case file / filing number',
+            'reader.notificationDate': 'Notification date',
+            'reader.period': 'Tax period',
+            'reader.amount': 'Amount in dispute',
+            'reader.noAmount': 'No amount',
+            'reader.attach': 'Also attach the PDF to my request (sent to Daniel)',
+            'reader.apply': 'Use these details',
+            'reader.discard': 'Discard',
+            'reader.applied': 'Done: I filled in the deadline and your case summary.',
+            'reader.uploaded': 'PDF attached to your request.',
+            'reader.uploadFailed': 'I could not attach the PDF. Send it on WhatsApp if you want Daniel to review it.',
+            'summary.reference': 'Case file: {value}',
+            'summary.document': 'Document: {value}',
+            'summary.title': 'Your case summary',
+            'summary.copy': 'Copy summary',
+            'summary.copied': 'Copied!',
+            'summary.hint': 'Paste it into the form description so Daniel can review it first.',
+            'summary.hintPrefilled': 'It is already in the form description. If it does not show up, paste it there so Daniel can review it first.',
+            
+            'whatsapp.introHero': 'Hi Daniel, I am an accountant and I have a client with a complex case.',
+            'whatsapp.introFooter': 'Daniel, I am an accountant and I need support with a complex case for my client.',
+            'whatsapp.introFloat': 'Hi Daniel, I am an accountant and I have a complex case.',
+            'whatsapp.introTriage': 'Hi Daniel, I am an accountant. I completed the case assessment on FormaliZESE.',
+            'whatsapp.introGracias': 'Hi Daniel, I just sent my request through the form. My name is...',
+            'whatsapp.introRecovery': 'Hi Daniel, I am an accountant. I started the form on FormaliZESE and would rather continue here.',
+            'whatsapp.introFallback': 'Hi Daniel, I am an accountant. The form did not load, so I am sending my request here.',
+            'whatsapp.name': 'Name: {value}',
+            'whatsapp.email': 'Email: {value}',
+            'whatsapp.due': 'Due: {value}',
+            'whatsapp.exposure': 'Estimated exposure: {value}',
+            'whatsapp.section': 'Writing from: {value}',
+            
+            'section.hero': 'Home',
+            'section.problemas': 'Critical situations',
+            'section.consecuencias': 'Consequences and deadlines',
+            'section.soluciones': 'Solutions',
+            'section.beneficios': 'Benefits',
+            'section.casos': 'Real cases',
+            'section.formulario': 'Consultation form',
+            'section.ctaFinal': 'Final call to action',
+            'section.gracias': 'Thank-you page',
+            
+            'consent.necessary': 'Necessary',
+            'consent.necessaryText': 'Contact form (LeadConnector), your privacy preferences and the case details during your visit. Always on.',
+            'consent.analytics': 'Analytics',
+            'consent.analyticsText': 'Measuring visits and tool usage to improve the site (Google Analytics).',
+            'consent.marketing': 'Marketing',
+            'consent.marketingText': 'Third-party pixels and scripts that measure campaigns (Meta Pixel).',
+            'consent.bannerLabel': 'Privacy and data processing',
+            'consent.bannerText': '<strong>Your data, your choice.</strong> We use necessary cookies to run the site and, only with your permission, analytics and marketing tools. We process your data under Colombian Law 1581 of 2012 (Habeas Data), and you can change your choice at any time from the footer.',
+            'consent.configure': 'Customize',
+            'consent.onlyNecessary': 'Necessary only',
+            'consent.acceptAll': 'Accept all',
+            'consent.law': 'Law 1581 of 2012',
+            'consent.title': 'Privacy preferences',
+            'consent.updated': 'Last updated: {date}',
+            'consent.save': 'Save preferences',
+            
+            'exposure.title': 'Estimate your client\'s exposure',
+            'exposure.intro': 'Penalty, minimum penalty and late-payment interest with current parameters.',
+            'exposure.type': 'Penalty type',
+            'exposure.months': 'Months late',
+            'exposure.uvt': 'UVT value {year}',
+            'exposure.submit': 'Calculate exposure',
+            'exposure.version': 'Parameters v{version} · updated {date}',
+            'exposure.errorAmount': 'Enter the amount in dispute.',
+            'exposure.errorUVT': 'Enter the UVT value.',
+            'exposure.minimum': 'Minimum penalty ({uvt} UVT, Art. 639 E.T.)',
+            'exposure.capped': 'Penalty (capped at {uvt} UVT, {reference})',
+            'exposure.monthly': 'Penalty ({rate} × {months} = {total}, {reference})',
+            'exposure.proportional': 'Penalty ({rate}, {reference})',
+            'exposure.interest': 'Late-payment interest ({months}, {rate} effective annual)',
+            'exposure.total': 'Estimated total exposure',
+            'exposure.scenarios': 'Other scenarios',
+            'exposure.scenario': 'Penalty {sanction} · Total {total}',
+            'exposure.copy': 'Copy breakdown for the client',
+            'exposure.copied': 'Breakdown copied!',
+            'exposure.disclaimer': 'Indicative estimate with parameters v{version}. Does not include penalty indexation or graduated reductions (Art. 640 E.T.).',
+            'exposure.textTitle': 'Exposure estimate - {label}',
+            'exposure.textTotal': 'ESTIMATED TOTAL: {value}',
+            'exposure.textScenario': '- {label}: penalty {sanction}, total {total}',
+            'exposure.textFooter': 'Parameters v{version}. Indicative calculation - FormaliZESE.',
+            
+            'story.problem': 'Situation:',
+            'story.solution': 'My support:',
+            'story.result': 'Result:',
+            
+            'number.billions': 'billion',
+            'number.millions': 'million',
+            'number.thousands': 'thousand',
+            'number.pesos': '{amount} pesos',
+            
+            'live.updated': 'Updated {date}',
+            'availability.open': 'Available now',
+            'availability.closing': 'Available until {time}',
+            'availability.closed': 'Away · back {when}',
+            'availability.holiday': 'Public holiday · back {when}',
+            'availability.today': 'today at {time}',
+            'availability.tomorrow': 'tomorrow at {time}',
+            'availability.weekday': 'on {day} at {time}',
+            'availability.todayBefore': 'today before {time}',
+            'availability.tomorrowBefore': 'tomorrow before {time}',
+            'availability.weekdayBefore': 'on {day} before {time}',
+            'availability.tooltipOpen': 'I reply within minutes',
+            'availability.tooltipClosing': 'Message me before {time}',
+            'availability.tooltipClosed': 'Leave your case and I will reply {when}',
+            'availability.responseOpen': '⏱️ Current average response time: <strong>{min}-{max} hours</strong> during business hours',
+            'availability.responseBy': '⏱️ Estimated reply: <strong>{when}</strong>',
+            'availability.responseLater': '⏱️ We received your request outside business hours. Estimated reply: <strong>{when}</strong>',
+            
+            'ticker.label': 'Recently resolved cases',
+            'ticker.pause': 'Pause',
+            'ticker.resume': 'Resume',
+            'ticker.pauseLabel': 'Pause scrolling cases',
+            'ticker.resumeLabel': 'Resume scrolling cases'
+        }
     };
     
+    class I18n {
+        constructor() {
+            this.lang = this.detect();
+            this.locale = LANGUAGES[this.lang].locale;
+            this.pluralRules = new Intl.PluralRules(this.locale);
+            this.toggle = null;
+        }
+        
+        isSupported(lang) {
+            return Object.prototype.hasOwnProperty.call(LANGUAGES, lang);
+        }
+        
+        // ?lang= (shareable links) wins over the stored choice
+        detect() {
+            const requested = new URLSearchParams(window.location.search).get('lang');
+            if (this.isSupported(requested)) {
+                this.persist(requested);
+                return requested;
+            }
+            
+            try {
+                const stored = localStorage.getItem(CONFIG.LANGUAGE_STORAGE_KEY);
+                if (this.isSupported(stored)) return stored;
+            } catch (e) {
+                // Storage unavailable
+            }
+            return 'es';
+        }
+        
+        persist(lang) {
+            try {
+                localStorage.setItem(CONFIG.LANGUAGE_STORAGE_KEY, lang);
+            } catch (e) {
+                // The choice only lasts for this page view
+            }
+        }
+        
+        t(key, params = {}) {
+            const catalog = Object.prototype.hasOwnProperty.call(MESSAGES[this.lang], key) ? MESSAGES[this.lang] : MESSAGES.es;
+            let message = catalog[key];
+            if (message === undefined) return key;
+            
+            if (Array.isArray(message)) {
+                message = message[this.pluralRules.select(params.count) === 'one' ? 0 : 1];
+            }
+            return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+        }
+        
+        // Data files may hold either a plain string or { es, en }
+        localize(value) {
+            if (value && typeof value === 'object') {
+                return value[this.lang] || value.es || '';
+            }
+            return value;
+        }
+        
+        // Spanish ships in the HTML; other languages load their page copy
+        async init() {
+            document.documentElement.lang = this.lang;
+            this.renderToggle();
+            
+            if (this.lang !== 'es') {
+                await this.translatePage();
+            }
+        }
+        
+        async translatePage() {
+            try {
+                const response = await fetch(`${CONFIG.I18N_URL}/${this.lang}.json`, { cache: 'no-cache' });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                this.apply(await response.json());
+            } catch (e) {
+                console.warn('I18n: page copy unavailable, keeping Spanish', e);
+            }
+        }
+        
+        apply(catalog, root = document) {
+            root.querySelectorAll('[data-i18n]').forEach(element => {
+                const value = catalog[element.dataset.i18n];
+                if (typeof value === 'string') element.innerHTML = value;
+            });
+            
+            root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+                element.dataset.i18nAttr.split(';').forEach(pair => {
+                    const [attribute, key] = pair.split(':').map(part => part.trim());
+                    if (attribute && typeof catalog[key] === 'string') {
+                        element.setAttribute(attribute, catalog[key]);
+                    }
+                });
+            });
+        }
+        
+        // Lifts the head script's html.i18n-pending guard
+        reveal() {
+            document.documentElement.classList.remove('i18n-pending');
+        }
+        
+        renderToggle() {
+            if (this.toggle) return;
+            
+            this.toggle = document.createElement('div');
+            this.toggle.className = 'language-toggle';
+            this.toggle.setAttribute('role', 'group');
+            this.toggle.setAttribute('aria-label', this.t('language.label'));
+            this.toggle.innerHTML = Object.entries(LANGUAGES).map(([code, language]) => `
+                <button type="button" lang="${code}" data-lang="${code}" aria-label="${language.name}"
+                        aria-pressed="${code === this.lang}">${code.toUpperCase()}</button>
+            `).join('');
+            
+            this.toggle.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-lang]');
+                if (button) this.setLanguage(button.dataset.lang);
+            });
+            
+            document.body.appendChild(this.toggle);
+        }
+        
+        // Reload so every module renders again in the new language
+        setLanguage(lang) {
+            if (!this.isSupported(lang) || lang === this.lang) return;
+            
+            this.persist(lang);
+            analytics.track('language_change', {
+                event_category: 'engagement',
+                from: this.lang,
+                to: lang
+            });
+            
+            const url = new URL(window.location.href);
+            url.searchParams.delete('lang');
+            if (url.href !== window.location.href) {
+                window.location.replace(url.href);
+            } else {
+                window.location.reload();
+            }
+        }
+    }
+    
+    const i18n = new I18n();
+    const t = (key, params) => i18n.t(key, params);
+
     // ====================================
     // PERFORMANCE MONITOR
     // ====================================
+    // Lowest to highest. reduced drops the floating orbs and backdrop blur;
+    // minimal also stops animations.
+    const QUALITY_LEVELS = ['minimal', 'reduced', 'full'];
+    
+    const QUALITY_CLASSES = {
+        minimal: ['reduce-effects', 'reduce-animations'],
+        reduced: ['reduce-effects'],
+        full: []
+    };
+    
     class PerformanceMonitor {
         constructor() {
             this.metrics = {
                 fps: 60,
                 animationsRunning: 0,
                 memoryUsage: 0,
-                networkSpeed: 'high'
+                networkSpeed: 'high',
+                qualityLevel: 'full'
             };
+            this.quality = {
+                ceiling: 'full',
+                samples: [],
+                goodWindows: 0,
+                upgradeWindows: CONFIG.QUALITY_UPGRADE_WINDOWS
+            };
+            this.qualityListeners = new Set();
             this.frameCount = 0;
             this.lastFrameTime = performance.now();
             this.animationRegistry = new Map();
             this.observers = new Map();
             this.intervals = new Map();
+            this.networkListeners = new Set();
             this.rafId = null;
         }
         
         start() {
-            this.measureFPS();
             this.detectNetworkSpeed();
+            this.initQuality();
+            this.measureFPS();
             this.monitorMemory();
         }
         
@@ -47,37 +1027,46 @@
             const now = performance.now();
             this.frameCount++;
             
-            if (now >= this.lastFrameTime + 1000) {
+            // rAF stops in background tabs; that gap is not a slow frame
+            if (now - this.lastFrameTime > 2000) {
+                this.frameCount = 0;
+                this.lastFrameTime = now;
+            } else if (now >= this.lastFrameTime + 1000) {
                 this.metrics.fps = Math.round((this.frameCount * 1000) / (now - this.lastFrameTime));
                 this.frameCount = 0;
                 this.lastFrameTime = now;
-                
-                // Adjust quality based on FPS
-                if (this.metrics.fps < 30) {
-                    this.reduceQuality();
-                } else if (this.metrics.fps > 50) {
-                    this.restoreQuality();
-                }
+                this.sampleQuality(this.metrics.fps);
             }
             
-            requestAnimationFrame(() => this.measureFPS());
+            this.rafId = requestAnimationFrame(() => this.measureFPS());
         }
         
         detectNetworkSpeed() {
             if ('connection' in navigator) {
                 const connection = navigator.connection;
-                const effectiveType = connection.effectiveType;
-                
-                this.metrics.networkSpeed = 
-                    effectiveType === '4g' ? 'high' :
-                    effectiveType === '3g' ? 'medium' : 'low';
+                this.updateNetworkSpeed();
                 
                 connection.addEventListener('change', () => {
-                    this.detectNetworkSpeed();
+                    this.updateNetworkSpeed();
+                    this.updateQualityCeiling();
+                    this.networkListeners.forEach(callback => callback(this.metrics.networkSpeed));
                 });
             }
         }
         
+        updateNetworkSpeed() {
+            const effectiveType = navigator.connection.effectiveType;
+            
+            this.metrics.networkSpeed = 
+                effectiveType === '4g' ? 'high' :
+                effectiveType === '3g' ? 'medium' : 'low';
+        }
+        
+        onNetworkChange(callback) {
+            this.networkListeners.add(callback);
+            return () => this.networkListeners.delete(callback);
+        }
+        
         monitorMemory() {
             if (performance.memory) {
                 setInterval(() => {
@@ -92,13 +1081,87 @@
             }
         }
         
-        reduceQuality() {
-            document.body.classList.add('reduce-animations');
-            console.log('Performance: Reducing animation quality');
+        // Device and network set the ceiling; FPS only moves the level below it
+        initQuality() {
+            this.quality.ceiling = this.getQualityCeiling();
+            
+            let stored = null;
+            try {
+                stored = sessionStorage.getItem(CONFIG.QUALITY_STORAGE_KEY);
+            } catch (e) {
+                // Storage unavailable: start from the ceiling
+            }
+            
+            this.setQualityLevel(this.capQuality(QUALITY_LEVELS.includes(stored) ? stored : this.quality.ceiling));
+        }
+        
+        getQualityCeiling() {
+            const saveData = Boolean(navigator.connection && navigator.connection.saveData);
+            if (saveData || this.metrics.networkSpeed === 'low' || getDeviceClass() === 'low') return 'minimal';
+            if (this.metrics.networkSpeed === 'medium' || isMobileDevice()) return 'reduced';
+            return 'full';
+        }
+        
+        capQuality(level) {
+            return QUALITY_LEVELS[Math.min(QUALITY_LEVELS.indexOf(level), QUALITY_LEVELS.indexOf(this.quality.ceiling))];
+        }
+        
+        updateQualityCeiling() {
+            this.quality.ceiling = this.getQualityCeiling();
+            this.setQualityLevel(this.capQuality(this.metrics.qualityLevel), 'network');
+        }
+        
+        // Hysteresis: drop one level after a slow window, climb one only after
+        // several fast ones. Every drop doubles the windows needed to climb, so
+        // borderline devices settle instead of flapping.
+        sampleQuality(fps) {
+            const quality = this.quality;
+            quality.samples.push(fps);
+            if (quality.samples.length < CONFIG.QUALITY_SAMPLE_WINDOW) return;
+            
+            const average = quality.samples.reduce((sum, value) => sum + value, 0) / quality.samples.length;
+            quality.samples = [];
+            const index = QUALITY_LEVELS.indexOf(this.metrics.qualityLevel);
+            
+            if (average < CONFIG.QUALITY_DOWNGRADE_FPS) {
+                quality.goodWindows = 0;
+                if (index > 0) {
+                    quality.upgradeWindows *= 2;
+                    this.setQualityLevel(QUALITY_LEVELS[index - 1], 'fps');
+                }
+            } else if (average > CONFIG.QUALITY_UPGRADE_FPS) {
+                quality.goodWindows++;
+                if (quality.goodWindows >= quality.upgradeWindows && index < QUALITY_LEVELS.indexOf(quality.ceiling)) {
+                    quality.goodWindows = 0;
+                    this.setQualityLevel(QUALITY_LEVELS[index + 1], 'fps');
+                }
+            } else {
+                quality.goodWindows = 0;
+            }
+        }
+        
+        setQualityLevel(level, reason = 'initial') {
+            const previous = this.metrics.qualityLevel;
+            this.metrics.qualityLevel = level;
+            
+            Object.keys(QUALITY_CLASSES).forEach(key => {
+                QUALITY_CLASSES[key].forEach(className => document.body.classList.remove(className));
+            });
+            QUALITY_CLASSES[level].forEach(className => document.body.classList.add(className));
+            
+            try {
+                sessionStorage.setItem(CONFIG.QUALITY_STORAGE_KEY, level);
+            } catch (e) {
+                // The level only lasts for this page view
+            }
+            
+            if (level === previous) return;
+            this.qualityListeners.forEach(callback => callback(level, previous, reason));
         }
         
-        restoreQuality() {
-            document.body.classList.remove('reduce-animations');
+        onQualityChange(callback) {
+            this.qualityListeners.add(callback);
+            return () => this.qualityListeners.delete(callback);
         }
         
         cleanupMemory() {
@@ -145,11 +1208,267 @@
             if (this.rafId) {
                 cancelAnimationFrame(this.rafId);
             }
+            
+            this.qualityListeners.clear();
         }
     }
     
     const performanceMonitor = new PerformanceMonitor();
     
+    // ====================================
+    // CORE WEB VITALS
+    // ====================================
+    // Field LCP, CLS, INP, FCP and TTFB, sent as one beacon each time the
+    // page is hidden (only when something changed since the last one).
+    // Same consent category as the analytics beacon.
+    const VITAL_THRESHOLDS = {
+        LCP: [2500, 4000],
+        CLS: [0.1, 0.25],
+        INP: [200, 500],
+        FCP: [1800, 3000],
+        TTFB: [800, 1800]
+    };
+    
+    class WebVitalsCollector {
+        constructor(monitor) {
+            this.monitor = monitor;
+            this.metrics = {};
+            this.observers = [];
+            this.interactions = new Map();
+            this.clsSession = { value: 0, first: 0, last: 0 };
+            this.pageviewId = `pv-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+            this.dirty = false;
+            this.handleVisibility = () => {
+                if (document.visibilityState === 'hidden') this.report();
+            };
+            this.handlePageHide = () => this.report();
+        }
+        
+        start() {
+            if (!('PerformanceObserver' in window)) return;
+            
+            this.measureTTFB();
+            this.observe('paint', entry => {
+                if (entry.name === 'first-contentful-paint') this.set('FCP', entry.startTime);
+            });
+            this.observe('largest-contentful-paint', entry => this.set('LCP', entry.startTime));
+            this.observe('layout-shift', entry => this.addLayoutShift(entry));
+            this.observe('event', entry => this.addInteraction(entry), { durationThreshold: 40 });
+            this.observe('first-input', entry => this.addInteraction(entry));
+            
+            // Attached for the life of the page and never cleaned up: the
+            // controller's cleanup runs on beforeunload, before pagehide
+            document.addEventListener('visibilitychange', this.handleVisibility);
+            window.addEventListener('pagehide', this.handlePageHide);
+        }
+        
+        observe(type, callback, options = {}) {
+            const supported = PerformanceObserver.supportedEntryTypes || [];
+            if (!supported.includes(type)) return;
+            
+            try {
+                const observer = new PerformanceObserver(list => list.getEntries().forEach(callback));
+                observer.observe({ type: type, buffered: true, ...options });
+                this.observers.push(observer);
+            } catch (e) {
+                // Entry type not observable in this browser
+            }
+        }
+        
+        measureTTFB() {
+            const navigation = performance.getEntriesByType && performance.getEntriesByType('navigation')[0];
+            if (!navigation) return;
+            
+            // Prerendered pages start counting at activation
+            this.set('TTFB', Math.max(0, navigation.responseStart - (navigation.activationStart || 0)));
+        }
+        
+        // Largest burst of shifts less than 1s apart, capped at 5s per burst
+        addLayoutShift(entry) {
+            if (entry.hadRecentInput) return;
+            
+            const session = this.clsSession;
+            if (session.value && (entry.startTime - session.last > 1000 || entry.startTime - session.first > 5000)) {
+                session.value = 0;
+            }
+            if (!session.value) session.first = entry.startTime;
+            
+            session.value += entry.value;
+            session.last = entry.startTime;
+            
+            if (session.value > (this.metrics.CLS || 0)) {
+                this.set('CLS', session.value);
+            }
+        }
+        
+        // INP: the slowest interaction, ignoring one outlier per 50 interactions
+        addInteraction(entry) {
+            if (!entry.interactionId) return;
+            
+            const previous = this.interactions.get(entry.interactionId) || 0;
+            this.interactions.set(entry.interactionId, Math.max(previous, entry.duration));
+            
+            const durations = Array.from(this.interactions.values()).sort((a, b) => b - a);
+            this.set('INP', durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))]);
+        }
+        
+        set(name, value) {
+            const rounded = name === 'CLS' ? Math.round(value * 1000) / 1000 : Math.round(value);
+            if (this.metrics[name] === rounded) return;
+            
+            this.metrics[name] = rounded;
+            this.dirty = true;
+        }
+        
+        rate(name, value) {
+            const [good, poor] = VITAL_THRESHOLDS[name];
+            return value <= good ? 'good' : value <= poor ? 'needs-improvement' : 'poor';
+        }
+        
+        getReport() {
+            const metrics = {};
+            Object.keys(this.metrics).forEach(name => {
+                metrics[name] = { value: this.metrics[name], rating: this.rate(name, this.metrics[name]) };
+            });
+            
+            return {
+                id: this.pageviewId,
+                page: window.location.pathname,
+                metrics: metrics,
+                networkSpeed: this.monitor.metrics.networkSpeed,
+                deviceClass: getDeviceClass(),
+                deviceType: isMobileDevice() ? 'mobile' : 'desktop',
+                language: i18n.lang,
+                ...attributionTracker.getSource(),
+                timestamp: new Date().toISOString()
+            };
+        }
+        
+        report() {
+            if (!this.dirty || !CONFIG.WEB_VITALS_ENDPOINT || !consentManager.has('analytics')) return;
+            
+            this.dirty = false;
+            sendBeaconJSON(CONFIG.WEB_VITALS_ENDPOINT, this.getReport());
+        }
+    }
+    
+    const webVitals = new WebVitalsCollector(performanceMonitor);
+    
+    // ====================================
+    // CAMPAIGN ATTRIBUTION
+    // ====================================
+    const ATTRIBUTION_PARAMS = [
+        'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content',
+        'gclid', 'fbclid', 'ref'
+    ];
+    
+    class AttributionTracker {
+        constructor() {
+            this.storageKey = 'fz_attribution';
+        }
+        
+        get() {
+            try {
+                return JSON.parse(sessionStorage.getItem(this.storageKey)) || {};
+            } catch (e) {
+                return {};
+            }
+        }
+        
+        // Landing params win when present; referrer and landing page are first-touch
+        capture() {
+            const stored = this.get();
+            const query = new URLSearchParams(window.location.search);
+            const params = {};
+            
+            ATTRIBUTION_PARAMS.forEach(name => {
+                const value = query.get(name);
+                if (value) params[name] = value.slice(0, 200);
+            });
+            
+            const attribution = {
+                params: Object.keys(params).length ? params : (stored.params || {}),
+                referrer: stored.capturedAt ? stored.referrer : this.getExternalReferrer(),
+                landingPage: stored.landingPage || window.location.pathname,
+                capturedAt: stored.capturedAt || new Date().toISOString()
+            };
+            
+            try {
+                sessionStorage.setItem(this.storageKey, JSON.stringify(attribution));
+            } catch (e) {
+                // Private mode: attribution only lives for this page view
+            }
+            return attribution;
+        }
+        
+        getExternalReferrer() {
+            if (!document.referrer) return '';
+            try {
+                const referrer = new URL(document.referrer);
+                return referrer.hostname === window.location.hostname ? '' : referrer.href;
+            } catch (e) {
+                return '';
+            }
+        }
+        
+        getReferrerHost() {
+            const referrer = this.get().referrer;
+            try {
+                return referrer ? new URL(referrer).hostname.replace(/^www\./, '') : '';
+            } catch (e) {
+                return '';
+            }
+        }
+        
+        // Flat query params for the LeadConnector iframe
+        toQueryParams() {
+            const attribution = this.get();
+            const result = { ...(attribution.params || {}) };
+            if (attribution.referrer) result.referrer = attribution.referrer;
+            return result;
+        }
+        
+        appendTo(url) {
+            const params = this.toQueryParams();
+            if (!Object.keys(params).length) return url;
+            
+            const target = new URL(url, window.location.href);
+            Object.entries(params).forEach(([name, value]) => target.searchParams.set(name, value));
+            return target.toString();
+        }
+        
+        // source / medium / campaign in the usual analytics conventions
+        getSource() {
+            const attribution = this.get();
+            const params = attribution.params || {};
+            const referrerHost = this.getReferrerHost();
+            const paidClick = params.gclid ? 'google' : params.fbclid ? 'facebook' : '';
+            
+            return {
+                source: params.utm_source || paidClick || params.ref || referrerHost || '(direct)',
+                medium: params.utm_medium || (paidClick ? 'cpc' : params.ref ? 'referral' : referrerHost ? 'referral' : '(none)'),
+                campaign: params.utm_campaign || '(not set)',
+                landing_page: attribution.landingPage || window.location.pathname
+            };
+        }
+    }
+    
+    const attributionTracker = new AttributionTracker();
+    
+    // ====================================
+    // THANK-YOU PAGE CONVERSION
+    // ====================================
+    function trackConversion() {
+        if (document.body.dataset.page !== 'gracias') return;
+        
+        analytics.track('conversion', {
+            event_category: 'form',
+            event_label: 'consultation_success',
+            value: 1
+        });
+        experiments.convert('thank_you');
+    }
+    
     // ====================================
     // SMART IFRAME LOADER
     // ====================================
@@ -160,6 +1479,8 @@
             this.loadAttempts = 0;
             this.maxAttempts = 3;
             this.isLoaded = false;
+            this.fallbackForm = null;
+            this.unsubscribeConsent = null;
         }
         
         init() {
@@ -168,6 +1489,7 @@
             
             this.createSkeletonLoader();
             this.loadForm();
+            this.unsubscribeConsent = consentManager.subscribe(() => this.updateSource());
         }
         
         createSkeletonLoader() {
@@ -194,7 +1516,7 @@
                     <div class="skeleton-pulse skeleton-button"></div>
                 </div>
                 <div class="skeleton-loading-text">
-                    <span class="loading-dots">Cargando formulario<span>.</span><span>.</span><span>.</span></span>
+                    <span class="loading-dots">${t('form.loading')}<span>.</span><span>.</span><span>.</span></span>
                 </div>
             `;
             
@@ -291,6 +1613,7 @@
             // Handle iframe load
             const handleLoad = () => {
                 const loadTime = Date.now() - startTime;
+                errorReporter.breadcrumb('form', 'loaded', { loadTime: loadTime, attempts: this.loadAttempts + 1 });
                 const minDisplayTime = Math.max(0, CONFIG.SKELETON_MIN_DISPLAY - loadTime);
                 
                 setTimeout(() => {
@@ -305,11 +1628,23 @@
             };
             
             // Handle errors
-            const handleError = () => {
+            const handleError = (reason) => {
                 this.loadAttempts++;
+                errorReporter.breadcrumb('form', 'load failed', {
+                    reason: reason,
+                    attempt: this.loadAttempts,
+                    elapsed: Date.now() - startTime,
+                    online: navigator.onLine
+                });
+                
                 if (this.loadAttempts < this.maxAttempts) {
                     setTimeout(() => this.retryLoad(), 2000);
                 } else {
+                    errorReporter.report({
+                        type: 'form-load',
+                        message: `Form iframe failed after ${this.loadAttempts} attempts (${reason})`,
+                        source: this.iframe.src
+                    });
                     this.showErrorState();
                 }
             };
@@ -317,7 +1652,7 @@
             // Set loading timeout
             const loadTimeout = setTimeout(() => {
                 if (!this.isLoaded) {
-                    handleError();
+                    handleError('timeout');
                 }
             }, CONFIG.FORM_LOAD_TIMEOUT);
             
@@ -327,15 +1662,41 @@
                 handleLoad();
             });
             
-            this.iframe.addEventListener('error', handleError);
+            this.iframe.addEventListener('error', () => handleError('error'));
             
-            // Force reload if lazy loading
-            if (this.iframe.loading === 'lazy') {
-                this.iframe.loading = 'eager';
-                this.iframe.src = this.iframe.src;
+            // Single load, with the params already on the URL
+            this.iframe.src = this.getSource();
+        }
+        
+        // Campaign params (with marketing consent) so LeadConnector keeps the
+        // lead's source, plus the triage summary when there is one
+        getSource() {
+            const base = this.iframe.dataset.src;
+            const url = new URL(consentManager.has('marketing') ? attributionTracker.appendTo(base) : base, window.location.href);
+            const summary = caseContext.get().summary;
+            if (summary && CONFIG.FORM_SUMMARY_PARAM) {
+                url.searchParams.set(CONFIG.FORM_SUMMARY_PARAM, summary);
+            }
+            return url.toString();
+        }
+        
+        // Triage or a consent change after the form loaded: reload it with the
+        // new params, unless the contador already started typing in it
+        updateSource() {
+            if (!this.iframe || this.fallbackForm || formMessages.state.started) return;
+            
+            const src = this.getSource();
+            if (src !== this.iframe.src) {
+                this.iframe.src = src;
             }
         }
         
+        carriesSummary() {
+            const summary = caseContext.get().summary;
+            if (!this.iframe || !this.iframe.src || !CONFIG.FORM_SUMMARY_PARAM || !summary) return false;
+            return new URL(this.iframe.src).searchParams.get(CONFIG.FORM_SUMMARY_PARAM) === summary;
+        }
+        
         removeSkeletonAndShowForm() {
             const skeleton = this.formContainer.querySelector('.form-skeleton-loader');
             if (skeleton) {
@@ -353,10 +1714,12 @@
         }
         
         retryLoad() {
+            errorReporter.breadcrumb('form', 'retry', { attempt: this.loadAttempts + 1 });
+            
             const skeleton = this.formContainer.querySelector('.skeleton-loading-text');
             if (skeleton) {
                 skeleton.innerHTML = `
-                    <span style="color: var(--warning);">Reintentando conexión...</span>
+                    <span style="color: var(--warning);">${t('form.retrying')}</span>
                 `;
             }
             
@@ -367,247 +1730,3964 @@
         
         showErrorState() {
             const skeleton = this.formContainer.querySelector('.form-skeleton-loader');
-            if (skeleton) {
-                skeleton.innerHTML = `
-                    <div style="text-align: center; padding: 2rem;">
-                        <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="var(--danger)" stroke-width="2" style="margin-bottom: 1rem;">
-                            <circle cx="12" cy="12" r="10"/>
-                            <line x1="12" y1="8" x2="12" y2="12"/>
-                            <line x1="12" y1="16" x2="12.01" y2="16"/>
-                        </svg>
-                        <h3 style="color: var(--text-primary); margin-bottom: 0.5rem;">Error al cargar el formulario</h3>
-                        <p style="color: var(--text-secondary); margin-bottom: 1rem;">Por favor, intenta de nuevo o contacta por WhatsApp</p>
-                        <button onclick="location.reload()" style="
-                            background: var(--accent);
-                            color: white;
-                            border: none;
-                            padding: 0.75rem 1.5rem;
-                            border-radius: 8px;
-                            cursor: pointer;
-                            font-weight: 600;
-                        ">Reintentar</button>
-                    </div>
-                `;
+            if (!skeleton) return;
+
+            // Replace the skeleton with a native form so the lead is not lost
+            if (this.iframe) {
+                this.iframe.style.display = 'none';
             }
+            this.fallbackForm = new FallbackConsultationForm(leadQueue);
+            this.fallbackForm.render(skeleton);
+            analytics.track('form_fallback_shown', {
+                event_category: 'form',
+                attempts: this.loadAttempts
+            });
+        }
+        
+        cleanup() {
+            if (this.unsubscribeConsent) this.unsubscribeConsent();
         }
     }
     
+    const formLoader = new SmartFormLoader();
+
     // ====================================
-    // ANIMATION MANAGER (VIEWPORT-BASED)
+    // LEAD QUEUE (LOCAL PERSISTENCE)
     // ====================================
-    class AnimationManager {
+    class LeadQueue {
         constructor() {
-            this.animatedElements = new Map();
-            this.rafId = null;
-            this.isRunning = false;
-            this.visibilityObserver = null;
+            this.storageKey = CONFIG.LEAD_QUEUE_KEY;
+            this.isFlushing = false;
+            this.inFlight = new Set();
+            this.retryTimer = null;
+            this.retryIndex = 0;
+            this.unsubscribeNetwork = null;
+            this.handleOnline = () => {
+                if (this.size() > 0) {
+                    showNotification(t('leads.online'), 'info');
+                }
+                this.retryNow();
+            };
         }
         
-        init() {
-            this.setupVisibilityObserver();
-            this.optimizeExistingAnimations();
-            this.startAnimationLoop();
+        // Resubmits leads left over from previous visits and reacts to connectivity
+        start() {
+            if (!CONFIG.LEAD_ENDPOINT) return;
+            
+            this.prune();
+            window.addEventListener('online', this.handleOnline);
+            this.unsubscribeNetwork = performanceMonitor.onNetworkChange(() => {
+                if (navigator.onLine !== false) this.retryNow();
+            });
+            
+            const pending = this.size();
+            if (pending > 0) {
+                showNotification(t('leads.pending', { count: pending }), 'info');
+                this.process();
+            }
+        }
+
+        read() {
+            try {
+                const stored = JSON.parse(localStorage.getItem(this.storageKey));
+                return Array.isArray(stored) ? stored : [];
+            } catch (e) {
+                return [];
+            }
+        }
+
+        write(leads) {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(leads));
+                return true;
+            } catch (e) {
+                // Storage full or disabled (private mode)
+                return false;
+            }
+        }
+
+        enqueue(data) {
+            const lead = {
+                id: `lead-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                createdAt: new Date().toISOString(),
+                attempts: 0,
+                data: data
+            };
+
+            const leads = this.read();
+            leads.push(lead);
+            this.write(leads);
+            return lead;
+        }
+
+        remove(id) {
+            this.write(this.read().filter(lead => lead.id !== id));
+        }
+
+        size() {
+            return this.read().length;
         }
         
-        setupVisibilityObserver() {
-            this.visibilityObserver = new IntersectionObserver(
-                (entries) => {
-                    entries.forEach(entry => {
-                        const element = entry.target;
-                        const animationId = element.dataset.animationId;
-                        
-                        if (entry.isIntersecting) {
-                            this.resumeAnimation(element, animationId);
-                        } else {
-                            this.pauseAnimation(element, animationId);
-                        }
-                    });
-                },
-                {
-                    rootMargin: '50px',
-                    threshold: 0
+        // Too old or retried too often: the visitor has moved on, stop retrying
+        prune() {
+            const now = Date.now();
+            this.read().forEach(lead => {
+                const age = now - new Date(lead.createdAt).getTime();
+                if (lead.attempts >= CONFIG.LEAD_MAX_ATTEMPTS || age > CONFIG.LEAD_MAX_AGE) {
+                    this.drop(lead, 'expired');
                 }
-            );
-            
-            // Observe all animated elements
-            document.querySelectorAll('[data-animation]').forEach(element => {
-                this.visibilityObserver.observe(element);
             });
         }
         
-        optimizeExistingAnimations() {
-            // Add data attributes to animated elements
-            document.querySelectorAll('.urgency-badge.critical').forEach((el, i) => {
-                el.dataset.animation = 'pulse';
-                el.dataset.animationId = `pulse-${i}`;
-            });
-            
-            document.querySelectorAll('.ticker-content').forEach((el, i) => {
-                el.dataset.animation = 'scroll';
-                el.dataset.animationId = `scroll-${i}`;
-            });
-            
-            document.querySelectorAll('.orb').forEach((el, i) => {
-                el.dataset.animation = 'float';
-                el.dataset.animationId = `float-${i}`;
-            });
-            
-            document.querySelectorAll('.gradient-text').forEach((el, i) => {
-                el.dataset.animation = 'gradient';
-                el.dataset.animationId = `gradient-${i}`;
+        // Only the id and reason are reported; the lead itself holds personal data
+        drop(lead, reason) {
+            this.remove(lead.id);
+            errorReporter.report({
+                type: 'lead-dropped',
+                message: `Lead ${lead.id} dropped (${reason}) after ${lead.attempts} attempts`
             });
         }
         
-        pauseAnimation(element, animationId) {
-            if (element && element.style) {
-                element.style.animationPlayState = 'paused';
-                performanceMonitor.pauseAnimation(animationId);
+        // False when the storage write failed and the lead only lives in memory
+        has(id) {
+            return this.read().some(lead => lead.id === id);
+        }
+
+        // 'sent', 'retry' (network, timeout, 408, 429, 5xx) or 'rejected' (other 4xx)
+        async send(lead) {
+            if (!CONFIG.LEAD_ENDPOINT) return 'retry';
+
+            const controller = 'AbortController' in window ? new AbortController() : null;
+            const timeout = setTimeout(() => controller && controller.abort(), CONFIG.LEAD_REQUEST_TIMEOUT);
+
+            try {
+                const response = await fetch(CONFIG.LEAD_ENDPOINT, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        id: lead.id,
+                        createdAt: lead.createdAt,
+                        ...lead.data
+                    }),
+                    signal: controller ? controller.signal : undefined
+                });
+                if (response.ok) return 'sent';
+                const transient = response.status >= 500 || response.status === 408 || response.status === 429;
+                return transient ? 'retry' : 'rejected';
+            } catch (e) {
+                return 'retry';
+            } finally {
+                clearTimeout(timeout);
             }
         }
-        
-        resumeAnimation(element, animationId) {
-            if (element && element.style) {
-                // Check if we're under the animation budget
-                if (performanceMonitor.metrics.animationsRunning < CONFIG.MAX_CONCURRENT_ANIMATIONS) {
-                    element.style.animationPlayState = 'running';
-                    performanceMonitor.registerAnimation(animationId, element);
+
+        // One request per lead at a time, so a form's first attempt and a
+        // retry timer's flush() never POST the same lead twice
+        async deliver(lead) {
+            if (this.inFlight.has(lead.id)) return false;
+            this.inFlight.add(lead.id);
+
+            try {
+                const result = await this.send(lead);
+                if (result === 'sent') {
+                    this.remove(lead.id);
+                } else if (result === 'rejected') {
+                    // Resending the same payload would be rejected again
+                    this.drop(lead, 'rejected');
+                } else {
+                    this.markAttempt(lead.id);
                 }
+                return result === 'sent';
+            } finally {
+                this.inFlight.delete(lead.id);
             }
         }
-        
-        startAnimationLoop() {
-            if (this.isRunning) return;
-            this.isRunning = true;
-            
-            const animate = (timestamp) => {
-                // Process animations in a single RAF
-                this.updateAnimations(timestamp);
-                
-                if (this.isRunning) {
-                    this.rafId = requestAnimationFrame(animate);
+
+        // Sends every pending lead once; only confirmed leads leave the queue
+        async flush() {
+            if (this.isFlushing) return { sent: 0, pending: this.size() };
+            this.isFlushing = true;
+
+            let sent = 0;
+            try {
+                this.prune();
+                for (const lead of this.read()) {
+                    if (this.inFlight.has(lead.id)) continue;
+                    if (await this.deliver(lead)) sent++;
                 }
-            };
-            
-            this.rafId = requestAnimationFrame(animate);
+            } finally {
+                this.isFlushing = false;
+            }
+
+            return { sent: sent, pending: this.size() };
         }
-        
-        updateAnimations(timestamp) {
-            // Update counter animation
-            this.updateCounter(timestamp);
-            
-            // Update other dynamic elements
-            this.updateLiveElements(timestamp);
+
+        retryNow() {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+            this.retryIndex = 0;
+            this.process();
         }
         
-        updateCounter(timestamp) {
-            if (!this.lastCounterUpdate || timestamp - this.lastCounterUpdate > 5000) {
-                const activeClients = document.getElementById('activeClients');
-                if (activeClients && this.isElementInViewport(activeClients)) {
-                    const current = parseInt(activeClients.textContent) || 47;
-                    const change = Math.floor(Math.random() * 5) - 2;
-                    const newValue = Math.max(42, Math.min(52, current + change));
-                    activeClients.textContent = newValue;
-                }
-                this.lastCounterUpdate = timestamp;
+        async process() {
+            if (!CONFIG.LEAD_ENDPOINT || this.size() === 0) return;
+            
+            // Offline: wait for the 'online' event instead of burning retries
+            if (navigator.onLine === false) return;
+            
+            const result = await this.flush();
+            
+            if (result.sent > 0) {
+                showNotification(t('leads.sent', { count: result.sent }), 'success');
+            }
+            
+            if (result.pending > 0) {
+                this.scheduleRetry();
+            } else {
+                this.retryIndex = 0;
             }
         }
         
-        updateLiveElements(timestamp) {
-            if (!this.lastLiveUpdate || timestamp - this.lastLiveUpdate > 10000) {
-                // Update any live badges or indicators
-                document.querySelectorAll('.status-dot').forEach(dot => {
-                    if (this.isElementInViewport(dot)) {
-                        dot.style.transform = 'scale(1.2)';
-                        setTimeout(() => {
-                            dot.style.transform = 'scale(1)';
-                        }, 300);
-                    }
-                });
-                this.lastLiveUpdate = timestamp;
-            }
+        // Exponential backoff with jitter, capped at LEAD_RETRY_MAX_DELAY
+        scheduleRetry() {
+            if (!CONFIG.LEAD_ENDPOINT || this.retryTimer) return;
+            
+            const exponential = CONFIG.LEAD_RETRY_BASE_DELAY * Math.pow(2, this.retryIndex);
+            const delay = Math.min(exponential, CONFIG.LEAD_RETRY_MAX_DELAY) * (0.8 + Math.random() * 0.4);
+            this.retryIndex++;
+            
+            this.retryTimer = setTimeout(() => {
+                this.retryTimer = null;
+                this.process();
+            }, delay);
         }
         
-        isElementInViewport(element) {
-            const rect = element.getBoundingClientRect();
-            return (
-                rect.top >= 0 &&
-                rect.left >= 0 &&
-                rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) &&
-                rect.right <= (window.innerWidth || document.documentElement.clientWidth)
-            );
+        markAttempt(id) {
+            const leads = this.read();
+            const lead = leads.find(item => item.id === id);
+            if (lead) {
+                lead.attempts++;
+                lead.lastAttemptAt = new Date().toISOString();
+                this.write(leads);
+            }
         }
         
         cleanup() {
-            this.isRunning = false;
-            if (this.rafId) {
-                cancelAnimationFrame(this.rafId);
-            }
-            if (this.visibilityObserver) {
-                this.visibilityObserver.disconnect();
-            }
+            clearTimeout(this.retryTimer);
+            window.removeEventListener('online', this.handleOnline);
+            if (this.unsubscribeNetwork) this.unsubscribeNetwork();
         }
     }
-    
+
+    const leadQueue = new LeadQueue();
+
     // ====================================
-    // SMOOTH SCROLL WITH PERFORMANCE
+    // FALLBACK CONSULTATION FORM
     // ====================================
-    function initSmoothScroll() {
-        const scrollLinks = document.querySelectorAll('a[href^="#"]');
-        
-        scrollLinks.forEach(anchor => {
-            anchor.addEventListener('click', function (e) {
-                e.preventDefault();
-                const targetId = this.getAttribute('href');
-                if (targetId === '#') return;
-                
-                const target = document.querySelector(targetId);
-                if (target) {
-                    // Pause animations during scroll
-                    document.body.classList.add('scrolling');
-                    
-                    const offsetTop = target.offsetTop - 80;
-                    window.scrollTo({
-                        top: offsetTop,
-                        behavior: 'smooth'
-                    });
-                    
-                    // Resume animations after scroll
-                    setTimeout(() => {
-                        document.body.classList.remove('scrolling');
-                    }, 1000);
+    const CASE_TYPES = {
+        dian: t('case.dian'),
+        ugpp: t('case.ugpp'),
+        estructuracion: t('case.estructuracion')
+    };
+
+    class FallbackConsultationForm {
+        constructor(queue) {
+            this.queue = queue;
+            this.form = null;
+            this.isSubmitting = false;
+        }
+
+        render(target) {
+            const caseOptions = Object.entries(CASE_TYPES)
+                .map(([value, label]) => `<option value="${value}">${label}</option>`)
+                .join('');
+
+            target.className = 'fallback-form-wrapper';
+            target.removeAttribute('style');
+            target.innerHTML = `
+                <div class="fallback-form-header">
+                    <h3>${t('fallback.title')}</h3>
+                    <p>${t(CONFIG.LEAD_ENDPOINT ? 'fallback.intro' : 'fallback.introWhatsApp')}</p>
+                </div>
+                <form class="fallback-form" novalidate>
+                    <div class="fallback-field">
+                        <label for="fz-name">${t('fallback.name')}</label>
+                        <input type="text" id="fz-name" name="name" autocomplete="name" required>
+                        <span class="fallback-error" id="fz-name-error"></span>
+                    </div>
+                    <div class="fallback-field">
+                        <label for="fz-email">${t('fallback.email')}</label>
+                        <input type="email" id="fz-email" name="email" autocomplete="email" inputmode="email" required>
+                        <span class="fallback-error" id="fz-email-error"></span>
+                    </div>
+                    <div class="fallback-field">
+                        <label for="fz-whatsapp">WhatsApp</label>
+                        <input type="tel" id="fz-whatsapp" name="whatsapp" autocomplete="tel" inputmode="tel" placeholder="300 123 4567" required>
+                        <span class="fallback-error" id="fz-whatsapp-error"></span>
+                    </div>
+                    <div class="fallback-field">
+                        <label for="fz-caseType">${t('fallback.caseType')}</label>
+                        <select id="fz-caseType" name="caseType" required>
+                            <option value="">${t('fallback.selectOption')}</option>
+                            ${caseOptions}
+                        </select>
+                        <span class="fallback-error" id="fz-caseType-error"></span>
+                    </div>
+                    <div class="fallback-field">
+                        <label for="fz-description">${t('fallback.description')}</label>
+                        <textarea id="fz-description" name="description" rows="4" placeholder="${t('fallback.descriptionPlaceholder')}" required></textarea>
+                        <span class="fallback-error" id="fz-description-error"></span>
+                    </div>
+                    <button type="submit" class="fallback-submit">${t(CONFIG.LEAD_ENDPOINT ? 'fallback.submit' : 'fallback.submitWhatsApp')}</button>
+                    <p class="fallback-status" role="status" aria-live="polite"></p>
+                </form>
+            `;
+
+            this.form = target.querySelector('.fallback-form');
+            this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+            this.prefill(caseContext.get());
+
+            // Clear field errors as the user corrects them
+            this.form.addEventListener('input', (e) => {
+                if (e.target.name && e.target.getAttribute('aria-invalid') === 'true') {
+                    this.setFieldError(e.target.name, this.validateField(e.target.name, e.target.value));
                 }
             });
-        });
-    }
-    
-    // ====================================
-    // PROGRESSIVE IMAGE LOADING
-    // ====================================
-    class ProgressiveImageLoader {
-        constructor() {
-            this.images = [];
-            this.observer = null;
+        }
+
+        // Carry over the triage summary so the contador does not retype it
+        prefill(context) {
+            if (context.caseType && CASE_TYPES[context.caseType]) {
+                this.form.elements.caseType.value = context.caseType;
+            }
+            if (context.summary) {
+                this.form.elements.description.value = `${context.summary}\n\n`;
+            }
         }
         
-        init() {
-            this.images = document.querySelectorAll('img[loading="lazy"]');
-            
-            if ('loading' in HTMLImageElement.prototype) {
-                // Browser supports native lazy loading
-                this.enhanceNativeLazyLoad();
+        getValues() {
+            const formData = new FormData(this.form);
+            return {
+                name: (formData.get('name') || '').trim(),
+                email: (formData.get('email') || '').trim(),
+                whatsapp: (formData.get('whatsapp') || '').trim(),
+                caseType: formData.get('caseType') || '',
+                description: (formData.get('description') || '').trim()
+            };
+        }
+
+        validateField(name, rawValue) {
+            const value = (rawValue || '').trim();
+
+            switch (name) {
+                case 'name':
+                    return value.length >= 3 ? '' : t('fallback.errorName');
+                case 'email':
+                    return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value) ? '' : t('fallback.errorEmail');
+                case 'whatsapp':
+                    return isColombianMobile(value) ? '' : t('fallback.errorWhatsApp');
+                case 'caseType':
+                    return CASE_TYPES[value] ? '' : t('fallback.errorCaseType');
+                case 'description':
+                    return value.length >= 20 ? '' : t('fallback.errorDescription');
+                default:
+                    return '';
+            }
+        }
+
+        setFieldError(name, message) {
+            const field = this.form.elements[name];
+            const error = this.form.querySelector(`#fz-${name}-error`);
+            if (!field || !error) return;
+
+            error.textContent = message;
+            if (message) {
+                field.setAttribute('aria-invalid', 'true');
+                field.setAttribute('aria-describedby', error.id);
             } else {
-                // Fallback for older browsers
-                this.setupIntersectionObserver();
+                field.removeAttribute('aria-invalid');
+                field.removeAttribute('aria-describedby');
             }
         }
-        
-        enhanceNativeLazyLoad() {
-            this.images.forEach(img => {
-                // Add loading placeholder
-                img.classList.add('loading');
-                
-                img.addEventListener('load', () => {
-                    img.classList.remove('loading');
+
+        validate(values) {
+            let firstInvalid = null;
+
+            Object.keys(values).forEach(name => {
+                const message = this.validateField(name, values[name]);
+                this.setFieldError(name, message);
+                if (message && !firstInvalid) {
+                    firstInvalid = this.form.elements[name];
+                }
+            });
+
+            if (firstInvalid) {
+                firstInvalid.focus();
+                return false;
+            }
+            return true;
+        }
+
+        setStatus(message, type = 'info') {
+            const status = this.form.querySelector('.fallback-status');
+            status.textContent = message;
+            status.dataset.type = type;
+        }
+
+        async handleSubmit(e) {
+            e.preventDefault();
+            if (this.isSubmitting) return;
+
+            const values = this.getValues();
+            if (!this.validate(values)) return;
+
+            // Without an endpoint a queued lead could never be sent
+            if (!CONFIG.LEAD_ENDPOINT) {
+                this.handOff(values);
+                return;
+            }
+
+            this.isSubmitting = true;
+            const submitButton = this.form.querySelector('.fallback-submit');
+            submitButton.disabled = true;
+            this.setStatus(t('fallback.sending'));
+
+            // Queue first: the lead survives reloads until the endpoint confirms it
+            const lead = this.queue.enqueue({
+                ...values,
+                caseTypeLabel: CASE_TYPES[values.caseType],
+                source: 'fallback-form',
+                language: i18n.lang,
+                reference: whatsAppComposer.getReference(),
+                attribution: attributionTracker.toQueryParams(),
+                page: window.location.href
+            });
+
+            const confirmed = await this.queue.deliver(lead);
+
+            analytics.track('form_submit', {
+                event_category: 'engagement',
+                event_label: 'fallback_form',
+                case_type: values.caseType,
+                queued: !confirmed
+            });
+            
+            if (confirmed) {
+                this.setStatus(t('fallback.sent'), 'success');
+                setTimeout(() => {
+                    window.location.href = CONFIG.THANK_YOU_URL;
+                }, 1200);
+                return;
+            }
+
+            // Keep what was typed when the device couldn't store it either
+            if (!this.queue.has(lead.id)) {
+                this.setStatus(t('fallback.notSaved'), 'error');
+                showNotification(t('fallback.notSavedNotice'), 'error', {
+                    actions: [{ label: t('notify.openWhatsApp'), href: whatsAppComposer.buildLink('float') }]
+                });
+                submitButton.disabled = false;
+                this.isSubmitting = false;
+                return;
+            }
+
+            this.queue.scheduleRetry();
+            this.setStatus(t('fallback.queued'), 'warning');
+            showNotification(t('fallback.queuedNotice'), 'warning', {
+                actions: [{ label: t('notify.openWhatsApp'), href: whatsAppComposer.buildLink('float') }]
+            });
+            this.form.reset();
+            submitButton.disabled = false;
+            this.isSubmitting = false;
+        }
+
+        // Still inside the submit gesture, so the new tab is not blocked
+        handOff(values) {
+            const url = whatsAppComposer.buildLeadLink(values);
+            window.open(url, '_blank', 'noopener');
+
+            analytics.track('form_submit', {
+                event_category: 'engagement',
+                event_label: 'fallback_form',
+                case_type: values.caseType,
+                channel: 'whatsapp'
+            });
+
+            this.setStatus(t('fallback.handedOff'), 'success');
+            showNotification(t('fallback.handedOffNotice'), 'info', {
+                actions: [{ label: t('notify.openWhatsApp'), href: url }]
+            });
+        }
+    }
+
+    // ====================================
+    // COLOMBIAN BUSINESS CALENDAR
+    // ====================================
+    // National holidays (Ley 51 de 1983, "Ley Emiliani"). Rules flagged
+    // `emiliani` move to the following Monday; `easter` is the offset in days
+    // from Easter Sunday.
+    const HOLIDAY_RULES = [
+        { month: 1, day: 1, name: t('holiday.newYear') },
+        { month: 1, day: 6, name: t('holiday.epiphany'), emiliani: true },
+        { month: 3, day: 19, name: t('holiday.saintJoseph'), emiliani: true },
+        { easter: -3, name: t('holiday.holyThursday') },
+        { easter: -2, name: t('holiday.goodFriday') },
+        { month: 5, day: 1, name: t('holiday.labour') },
+        { easter: 39, name: t('holiday.ascension'), emiliani: true },
+        { easter: 60, name: t('holiday.corpusChristi'), emiliani: true },
+        { easter: 68, name: t('holiday.sacredHeart'), emiliani: true },
+        { month: 6, day: 29, name: t('holiday.peterPaul'), emiliani: true },
+        { month: 7, day: 20, name: t('holiday.independence') },
+        { month: 8, day: 7, name: t('holiday.boyaca') },
+        { month: 8, day: 15, name: t('holiday.assumption'), emiliani: true },
+        { month: 10, day: 12, name: t('holiday.raza'), emiliani: true },
+        { month: 11, day: 1, name: t('holiday.allSaints'), emiliani: true },
+        { month: 11, day: 11, name: t('holiday.cartagena'), emiliani: true },
+        { month: 12, day: 8, name: t('holiday.immaculate') },
+        { month: 12, day: 25, name: t('holiday.christmas') }
+    ];
+    
+    class ColombianCalendar {
+        constructor() {
+            this.cache = new Map();
+        }
+        
+        // Anonymous Gregorian algorithm (Meeus/Jones/Butcher)
+        getEasterSunday(year) {
+            const a = year % 19;
+            const b = Math.floor(year / 100);
+            const c = year % 100;
+            const d = Math.floor(b / 4);
+            const e = b % 4;
+            const f = Math.floor((b + 8) / 25);
+            const g = Math.floor((b - f + 1) / 3);
+            const h = (19 * a + b - d - g + 15) % 30;
+            const i = Math.floor(c / 4);
+            const k = c % 4;
+            const l = (32 + 2 * e + 2 * i - h - k) % 7;
+            const m = Math.floor((a + 11 * h + 22 * l) / 451);
+            const month = Math.floor((h + l - 7 * m + 114) / 31);
+            const day = ((h + l - 7 * m + 114) % 31) + 1;
+            return new Date(Date.UTC(year, month - 1, day));
+        }
+        
+        getHolidays(year) {
+            if (this.cache.has(year)) return this.cache.get(year);
+            
+            const easter = this.getEasterSunday(year);
+            const holidays = new Map();
+            
+            HOLIDAY_RULES.forEach(rule => {
+                let date = typeof rule.easter === 'number'
+                    ? addDays(easter, rule.easter)
+                    : new Date(Date.UTC(year, rule.month - 1, rule.day));
+                
+                if (rule.emiliani) {
+                    const weekday = date.getUTCDay();
+                    if (weekday !== 1) {
+                        date = addDays(date, (8 - weekday) % 7);
+                    }
+                }
+                
+                // Two holidays can land on the same Monday (e.g. 2025-06-30)
+                const key = toISODate(date);
+                holidays.set(key, holidays.has(key) ? `${holidays.get(key)} / ${rule.name}` : rule.name);
+            });
+            
+            this.cache.set(year, holidays);
+            return holidays;
+        }
+        
+        getHolidayName(date) {
+            return this.getHolidays(date.getUTCFullYear()).get(toISODate(date)) || null;
+        }
+        
+        isBusinessDay(date) {
+            const weekday = date.getUTCDay();
+            if (weekday === 0 || weekday === 6) return false;
+            return !this.getHolidayName(date);
+        }
+        
+        // Returns the same date when it is already a business day
+        nextBusinessDay(date) {
+            let current = date;
+            while (!this.isBusinessDay(current)) {
+                current = addDays(current, 1);
+            }
+            return current;
+        }
+        
+        addBusinessDays(date, amount) {
+            let current = date;
+            let added = 0;
+            while (added < amount) {
+                current = addDays(current, 1);
+                if (this.isBusinessDay(current)) added++;
+            }
+            return current;
+        }
+        
+        // Business days in (from, to]; negative when `to` is before `from`
+        countBusinessDays(from, to) {
+            if (to < from) return -this.countBusinessDays(to, from);
+            
+            let count = 0;
+            let current = from;
+            while (current < to) {
+                current = addDays(current, 1);
+                if (this.isBusinessDay(current)) count++;
+            }
+            return count;
+        }
+        
+        // Weekday holidays in (from, to]
+        holidaysBetween(from, to) {
+            const result = [];
+            let current = from;
+            while (current < to) {
+                current = addDays(current, 1);
+                const name = this.getHolidayName(current);
+                const weekday = current.getUTCDay();
+                if (name && weekday !== 0 && weekday !== 6) {
+                    result.push({ date: toISODate(current), name: name });
+                }
+            }
+            return result;
+        }
+    }
+    
+    const colombianCalendar = new ColombianCalendar();
+    
+    // ====================================
+    // AVAILABILITY (BUSINESS HOURS)
+    // ====================================
+    // Drives the hero status, the WhatsApp tooltip and the response estimate
+    // on gracias.html from CONFIG.BUSINESS_HOURS. Off hours, CTAs marked
+    // data-offhours-cta point to the form instead of WhatsApp.
+    class Availability {
+        constructor(calendar, schedule) {
+            this.calendar = calendar;
+            this.schedule = {};
+            Object.entries(schedule || {}).forEach(([weekday, ranges]) => {
+                this.schedule[weekday] = ranges.map(range => range.map(time => {
+                    const [hours, minutes] = time.split(':').map(Number);
+                    return hours * 60 + minutes;
+                }));
+            });
+            this.timer = null;
+            this.handleVisibility = () => {
+                if (!document.hidden) this.render();
+            };
+        }
+        
+        init() {
+            this.render();
+            this.timer = setInterval(() => {
+                if (!document.hidden) this.render();
+            }, 60000);
+            document.addEventListener('visibilitychange', this.handleVisibility);
+        }
+        
+        // Wall clock in Bogotá: a UTC-midnight date plus minutes since midnight
+        getClock(now = new Date()) {
+            const parts = {};
+            new Intl.DateTimeFormat('en-CA', {
+                timeZone: 'America/Bogota', year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+            }).formatToParts(now).forEach(part => { parts[part.type] = part.value; });
+            
+            return {
+                date: parseISODate(`${parts.year}-${parts.month}-${parts.day}`),
+                minutes: Number(parts.hour) * 60 + Number(parts.minute)
+            };
+        }
+        
+        getRanges(date) {
+            if (this.calendar.getHolidayName(date)) return [];
+            return this.schedule[date.getUTCDay()] || [];
+        }
+        
+        getStatus(now = new Date()) {
+            const clock = this.getClock(now);
+            const range = this.getRanges(clock.date).find(([start, end]) => clock.minutes >= start && clock.minutes < end);
+            
+            if (range) {
+                return {
+                    state: range[1] - clock.minutes <= CONFIG.AVAILABILITY_CLOSING_SOON ? 'closing' : 'open',
+                    clock: clock,
+                    closesAt: { date: clock.date, minutes: range[1] }
+                };
+            }
+            
+            return {
+                state: 'closed',
+                clock: clock,
+                holiday: this.calendar.getHolidayName(clock.date),
+                opensAt: this.addBusinessMinutes(clock, 0)
+            };
+        }
+        
+        // Walks the schedule forward; 0 minutes gives the next opening
+        addBusinessMinutes(clock, amount) {
+            let remaining = amount;
+            
+            for (let offset = 0; offset <= 31; offset++) {
+                const date = addDays(clock.date, offset);
+                for (const [start, end] of this.getRanges(date)) {
+                    const from = offset === 0 ? Math.max(start, clock.minutes) : start;
+                    if (from >= end) continue;
+                    if (remaining <= end - from) {
+                        return { date: date, minutes: from + remaining };
+                    }
+                    remaining -= end - from;
+                }
+            }
+            return null;
+        }
+        
+        formatTime(minutes) {
+            return new Intl.DateTimeFormat(i18n.locale, {
+                hour: 'numeric', minute: '2-digit', timeZone: 'UTC'
+            }).format(new Date(Date.UTC(2000, 0, 1, Math.floor(minutes / 60), minutes % 60)));
+        }
+        
+        // "hoy a las 2:00 p. m.", "mañana ...", "el lunes ..."
+        describe(moment, clock, suffix = '') {
+            const time = this.formatTime(moment.minutes);
+            const days = Math.round((moment.date - clock.date) / 86400000);
+            if (days === 0) return t(`availability.today${suffix}`, { time: time });
+            if (days === 1) return t(`availability.tomorrow${suffix}`, { time: time });
+            
+            const day = new Intl.DateTimeFormat(i18n.locale, { weekday: 'long', timeZone: 'UTC' }).format(moment.date);
+            return t(`availability.weekday${suffix}`, { day: day, time: time });
+        }
+        
+        getResponseEstimate(status) {
+            const [min, max] = CONFIG.RESPONSE_TIME_HOURS;
+            const reply = this.addBusinessMinutes(status.clock, max * 60);
+            
+            // Inside hours with room for a full reply window: keep the usual promise
+            if (status.state !== 'closed' && reply && reply.date.getTime() === status.clock.date.getTime()) {
+                return t('availability.responseOpen', { min: min, max: max });
+            }
+            return t(status.state === 'closed' ? 'availability.responseLater' : 'availability.responseBy', {
+                when: reply ? this.describe(reply, status.clock, 'Before') : '—'
+            });
+        }
+        
+        render() {
+            const status = this.getStatus();
+            const when = status.opensAt ? this.describe(status.opensAt, status.clock) : '';
+            const closes = status.closesAt ? this.formatTime(status.closesAt.minutes) : '';
+            
+            const label = status.state === 'open' ? t('availability.open')
+                : status.state === 'closing' ? t('availability.closing', { time: closes })
+                : t(status.holiday ? 'availability.holiday' : 'availability.closed', { when: when });
+            
+            const tooltip = status.state === 'open' ? t('availability.tooltipOpen')
+                : status.state === 'closing' ? t('availability.tooltipClosing', { time: closes })
+                : t('availability.tooltipClosed', { when: when });
+            
+            document.body.classList.toggle('off-hours', status.state === 'closed');
+            
+            document.querySelectorAll('.status-indicator').forEach(indicator => {
+                indicator.dataset.availability = status.state;
+                const text = indicator.querySelector('.status-text');
+                if (text) text.textContent = label;
+            });
+            
+            document.querySelectorAll('.whatsapp-tooltip [data-i18n="whatsapp.tooltipText"]').forEach(element => {
+                element.textContent = tooltip;
+            });
+            
+            document.querySelectorAll('.countdown-timer').forEach(element => {
+                element.innerHTML = this.getResponseEstimate(status);
+            });
+            
+            document.querySelectorAll('[data-offhours-cta]').forEach(link => {
+                this.setCTA(link, status.state === 'closed');
+            });
+            
+            return status;
+        }
+        
+        // Off hours the link goes to the form; WhatsApp tracking and
+        // composing skip it because data-whatsapp is parked
+        setCTA(link, offHours) {
+            if (offHours) {
+                if (link.dataset.whatsapp) {
+                    link.dataset.whatsappParked = link.dataset.whatsapp;
+                    link.dataset.whatsappHref = link.getAttribute('href');
+                    delete link.dataset.whatsapp;
+                    link.setAttribute('href', '#form-section');
+                    link.removeAttribute('target');
+                }
+                // The visible label names the form; translation may have put this back
+                if (link.hasAttribute('aria-label')) {
+                    link.dataset.openLabel = link.getAttribute('aria-label');
+                    link.removeAttribute('aria-label');
+                }
+            } else if (link.dataset.whatsappParked) {
+                link.dataset.whatsapp = link.dataset.whatsappParked;
+                link.setAttribute('href', link.dataset.whatsappHref);
+                link.setAttribute('target', '_blank');
+                if (link.dataset.openLabel) link.setAttribute('aria-label', link.dataset.openLabel);
+                delete link.dataset.whatsappParked;
+                delete link.dataset.whatsappHref;
+            }
+        }
+        
+        cleanup() {
+            clearInterval(this.timer);
+            document.removeEventListener('visibilitychange', this.handleVisibility);
+        }
+    }
+    
+    const availability = new Availability(colombianCalendar, CONFIG.BUSINESS_HOURS);
+    
+    // ====================================
+    // CONSULTATION BOOKING
+    // ====================================
+    // Slots come from BOOKING_SLOTS_URL:
+    //   { "durationMinutes": 30, "slots": [{ "id": "...", "start": "2026-10-20T09:00", "available": true }] }
+    // or, for stubs that must not go stale, a template over the next
+    // business days: { "recurring": { "businessDays": 4, "times": ["09:00", "14:00"] } }
+    // A start without an offset is Bogotá time (UTC-5 all year). Picking a
+    // slot holds it when BOOKING_HOLD_URL is set; confirming sends a lead and
+    // offers an .ics and a WhatsApp message. The visitor only reads "held" or
+    // "booked" once a server said so; otherwise it is a request confirmed on
+    // WhatsApp. Without a source the widget stays hidden and the LeadConnector
+    // form is the only path.
+    class JSONSlotsSource {
+        constructor(url, calendar) {
+            this.url = url;
+            this.calendar = calendar;
+        }
+        
+        async fetch() {
+            const response = await fetch(this.url, { headers: { 'Accept': 'application/json' }, cache: 'no-cache' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            
+            const data = await response.json();
+            const duration = Number(data.durationMinutes) || 30;
+            const slots = (Array.isArray(data.slots) ? data.slots : [])
+                .concat(this.expandRecurring(data.recurring))
+                .filter(slot => slot && slot.available !== false)
+                .map(slot => {
+                    const start = parseSlotStart(slot.start);
+                    return start && {
+                        id: String(slot.id || slot.start),
+                        start: start,
+                        end: new Date(start.getTime() + duration * 60000)
+                    };
+                })
+                .filter(Boolean)
+                .sort((a, b) => a.start - b.start);
+            
+            return { duration: duration, slots: slots };
+        }
+        
+        // Bogotá wall-time slots on the next N business days (holidays skipped)
+        expandRecurring(recurring) {
+            if (!recurring || !Array.isArray(recurring.times)) return [];
+            
+            const slots = [];
+            let day = parseISODate(getBogotaToday());
+            for (let i = 0; i < (Number(recurring.businessDays) || 0); i++) {
+                day = this.calendar.addBusinessDays(day, 1);
+                const date = toISODate(day);
+                recurring.times.forEach(time => {
+                    slots.push({ id: `${date}-${String(time).replace(':', '')}`, start: `${date}T${time}` });
+                });
+            }
+            return slots;
+        }
+    }
+    
+    class BookingWidget {
+        constructor(source, queue) {
+            this.source = source || null;
+            this.queue = queue;
+            this.container = null;
+            this.slots = [];
+            this.duration = 30;
+            this.hold = null;
+            this.holdTimer = null;
+            this.timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'America/Bogota';
+        }
+        
+        async init() {
+            this.container = document.querySelector('.booking-widget');
+            if (!this.container || !this.source) return;
+            
+            try {
+                const data = await this.source.fetch();
+                this.duration = data.duration;
+                this.slots = this.getBookable(data.slots);
+            } catch (e) {
+                console.warn('Booking: slots unavailable, keeping the form only', e);
+                errorReporter.breadcrumb('booking', 'slots unavailable', { message: e.message });
+                return;
+            }
+            
+            const stored = this.read();
+            if (stored && stored.status && Date.parse(stored.start) > Date.now()) {
+                this.renderConfirmed(this.restoreSlot(stored), stored.name, stored.status === 'booked');
+            } else if (stored && stored.expiresAt && Date.parse(stored.expiresAt) > Date.now() && this.findSlot(stored.slotId)) {
+                this.hold = { slot: this.findSlot(stored.slotId), id: stored.holdId || null, expiresAt: new Date(stored.expiresAt) };
+                this.renderDetails();
+            } else if (this.slots.length) {
+                this.renderSlots();
+            } else {
+                return;
+            }
+            
+            this.container.hidden = false;
+        }
+        
+        isReady() {
+            return Boolean(this.container && !this.container.hidden);
+        }
+        
+        focus() {
+            if (!this.isReady()) return;
+            window.scrollTo({ top: this.container.getBoundingClientRect().top + window.scrollY - 80, behavior: 'smooth' });
+            const target = this.container.querySelector('input, button, a');
+            if (target) target.focus({ preventScroll: true });
+        }
+        
+        // Enough notice for Daniel, and only the next few days with slots
+        getBookable(slots) {
+            const earliest = Date.now() + CONFIG.BOOKING_MIN_NOTICE * 60000;
+            const days = [];
+            return slots.filter(slot => {
+                if (slot.start.getTime() < earliest) return false;
+                const day = this.dayKey(slot.start);
+                if (!days.includes(day)) days.push(day);
+                return days.indexOf(day) < CONFIG.BOOKING_MAX_DAYS;
+            });
+        }
+        
+        findSlot(id) {
+            return this.slots.find(slot => slot.id === id) || null;
+        }
+        
+        restoreSlot(stored) {
+            const start = new Date(stored.start);
+            return { id: stored.slotId, start: start, end: new Date(stored.end || start.getTime() + this.duration * 60000) };
+        }
+        
+        read() {
+            try {
+                return JSON.parse(localStorage.getItem(CONFIG.BOOKING_STORAGE_KEY));
+            } catch (e) {
+                return null;
+            }
+        }
+        
+        write(value) {
+            try {
+                if (value) {
+                    localStorage.setItem(CONFIG.BOOKING_STORAGE_KEY, JSON.stringify(value));
+                } else {
+                    localStorage.removeItem(CONFIG.BOOKING_STORAGE_KEY);
+                }
+            } catch (e) {
+                // The booking only lasts for this page view
+            }
+        }
+        
+        dayKey(date) {
+            return new Intl.DateTimeFormat('en-CA', { timeZone: this.timeZone }).format(date);
+        }
+        
+        formatDay(date, timeZone = this.timeZone) {
+            return new Intl.DateTimeFormat(i18n.locale, {
+                weekday: 'long', day: 'numeric', month: 'long', timeZone: timeZone
+            }).format(date);
+        }
+        
+        formatTime(date, timeZone = this.timeZone) {
+            return new Intl.DateTimeFormat(i18n.locale, {
+                hour: 'numeric', minute: '2-digit', timeZone: timeZone
+            }).format(date);
+        }
+        
+        // Visitors outside Colombia also see the Bogotá time
+        isBogotaTime(date) {
+            return this.formatTime(date) === this.formatTime(date, 'America/Bogota');
+        }
+        
+        describeBogota(slot) {
+            return `${this.formatDay(slot.start, 'America/Bogota')}, ${this.formatTime(slot.start, 'America/Bogota')}`;
+        }
+        
+        renderHeader() {
+            const sameZone = !this.slots.length || this.isBogotaTime(this.slots[0].start);
+            return `
+                <div class="booking-header">
+                    <h3 id="booking-title">${t('booking.title')}</h3>
+                    <p>${t('booking.intro', { minutes: this.duration })}</p>
+                    ${sameZone ? '' : `<p class="booking-timezone">${t('booking.timezone', { zone: escapeHTML(this.timeZone) })}</p>`}
+                </div>
+            `;
+        }
+        
+        renderSlots(message) {
+            this.clearHold();
+            
+            const days = new Map();
+            this.slots.forEach(slot => {
+                const key = this.dayKey(slot.start);
+                if (!days.has(key)) days.set(key, []);
+                days.get(key).push(slot);
+            });
+            
+            const fieldsets = Array.from(days.values()).map(slots => `
+                <fieldset class="booking-day">
+                    <legend>${this.formatDay(slots[0].start)}</legend>
+                    <div class="booking-times">
+                        ${slots.map(slot => `
+                            <label class="booking-slot">
+                                <input type="radio" name="slot" value="${escapeHTML(slot.id)}">
+                                <span>${this.formatTime(slot.start)}</span>
+                                ${this.isBogotaTime(slot.start) ? '' : `<small>${t('booking.bogota', { time: this.formatTime(slot.start, 'America/Bogota') })}</small>`}
+                            </label>
+                        `).join('')}
+                    </div>
+                </fieldset>
+            `).join('');
+            
+            this.container.innerHTML = `
+                ${this.renderHeader()}
+                <form class="booking-slots" aria-labelledby="booking-title">
+                    ${fieldsets}
+                    <p class="fallback-status" role="status" aria-live="polite"></p>
+                </form>
+            `;
+            
+            const form = this.container.querySelector('.booking-slots');
+            if (message) this.setStatus(form, message, 'warning');
+            form.addEventListener('change', (e) => {
+                const slot = e.target.name === 'slot' && this.findSlot(e.target.value);
+                if (slot) this.holdSlot(slot, form);
+            });
+        }
+        
+        async holdSlot(slot, form) {
+            if (CONFIG.BOOKING_HOLD_URL) this.setStatus(form, t('booking.holding'));
+            form.querySelectorAll('input').forEach(input => { input.disabled = true; });
+            
+            try {
+                const hold = await this.requestHold(slot);
+                if (!hold) {
+                    this.slots = this.slots.filter(item => item.id !== slot.id);
+                    this.renderSlots(t('booking.taken'));
+                    return;
+                }
+                
+                this.hold = { slot: slot, ...hold };
+                if (hold.expiresAt) {
+                    this.write({ slotId: slot.id, holdId: hold.id, expiresAt: hold.expiresAt.toISOString() });
+                }
+                analytics.track('booking_hold', {
+                    event_category: 'engagement',
+                    slot: slot.start.toISOString(),
+                    held: Boolean(hold.expiresAt)
+                });
+                this.renderDetails();
+            } catch (e) {
+                errorReporter.breadcrumb('booking', 'hold failed', { message: e.message });
+                form.querySelectorAll('input').forEach(input => { input.disabled = false; input.checked = false; });
+                this.setStatus(form, t('booking.holdFailed'), 'error');
+            }
+        }
+        
+        // null when the slot was taken in the meantime; without a hold
+        // endpoint nothing is held (expiresAt null)
+        async requestHold(slot) {
+            if (!CONFIG.BOOKING_HOLD_URL) {
+                return { id: null, expiresAt: null };
+            }
+            
+            const response = await fetch(CONFIG.BOOKING_HOLD_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    slotId: slot.id,
+                    start: slot.start.toISOString(),
+                    reference: whatsAppComposer.getReference()
+                })
+            });
+            if (response.status === 409) return null;
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            
+            const data = await response.json().catch(() => ({}));
+            const expiresAt = data.expiresAt ? new Date(data.expiresAt) : null;
+            return {
+                id: data.holdId || null,
+                expiresAt: expiresAt && !isNaN(expiresAt) ? expiresAt : new Date(Date.now() + CONFIG.BOOKING_HOLD_MINUTES * 60000)
+            };
+        }
+        
+        renderDetails() {
+            const slot = this.hold.slot;
+            this.container.innerHTML = `
+                ${this.renderHeader()}
+                <div class="booking-hold">
+                    <p class="booking-when"><strong>${this.formatDay(slot.start)}, ${this.formatTime(slot.start)}</strong></p>
+                    <p class="booking-countdown">${this.hold.expiresAt ? '' : t('booking.unheld')}</p>
+                </div>
+                <form class="booking-details" novalidate>
+                    <div class="fallback-field">
+                        <label for="fz-booking-name">${t('fallback.name')}</label>
+                        <input type="text" id="fz-booking-name" name="name" autocomplete="name" required>
+                    </div>
+                    <div class="fallback-field">
+                        <label for="fz-booking-whatsapp">WhatsApp</label>
+                        <input type="tel" id="fz-booking-whatsapp" name="whatsapp" autocomplete="tel" inputmode="tel" placeholder="300 123 4567" required>
+                    </div>
+                    <button type="submit" class="fallback-submit">${t(this.hold.expiresAt ? 'booking.confirm' : 'booking.request')}</button>
+                    <button type="button" class="booking-change">${t('booking.change')}</button>
+                    <p class="fallback-status" role="status" aria-live="polite"></p>
+                </form>
+            `;
+            
+            const form = this.container.querySelector('.booking-details');
+            form.addEventListener('submit', (e) => this.confirm(e));
+            form.querySelector('.booking-change').addEventListener('click', () => {
+                this.write(null);
+                this.renderSlots();
+            });
+            
+            if (this.hold.expiresAt) {
+                this.updateCountdown();
+                this.holdTimer = setInterval(() => this.updateCountdown(), 1000);
+            }
+        }
+        
+        updateCountdown() {
+            const remaining = this.hold ? this.hold.expiresAt - Date.now() : 0;
+            if (remaining <= 0) {
+                this.write(null);
+                this.renderSlots(t('booking.expired'));
+                return;
+            }
+            
+            const minutes = Math.floor(remaining / 60000);
+            const seconds = String(Math.floor((remaining % 60000) / 1000)).padStart(2, '0');
+            const countdown = this.container.querySelector('.booking-countdown');
+            if (countdown) countdown.textContent = t('booking.held', { time: `${minutes}:${seconds}` });
+        }
+        
+        clearHold() {
+            clearInterval(this.holdTimer);
+            this.holdTimer = null;
+            this.hold = null;
+        }
+        
+        async confirm(e) {
+            e.preventDefault();
+            const form = e.currentTarget;
+            const name = form.elements.name.value.trim();
+            const whatsapp = form.elements.whatsapp.value.trim();
+            
+            const invalid = name.length < 3 ? form.elements.name : !isColombianMobile(whatsapp) ? form.elements.whatsapp : null;
+            [form.elements.name, form.elements.whatsapp].forEach(field => {
+                if (field === invalid) {
+                    field.setAttribute('aria-invalid', 'true');
+                } else {
+                    field.removeAttribute('aria-invalid');
+                }
+            });
+            if (invalid) {
+                this.setStatus(form, invalid.name === 'name' ? t('fallback.errorName') : t('fallback.errorWhatsApp'), 'error');
+                invalid.focus();
+                return;
+            }
+            
+            const slot = this.hold.slot;
+            const holdId = this.hold.id;
+            const held = Boolean(this.hold.expiresAt);
+            const context = caseContext.get();
+            
+            // Without an endpoint a queued request could never be sent; the
+            // requested view below hands it to WhatsApp instead
+            let confirmed = false;
+            let queued = false;
+            if (CONFIG.LEAD_ENDPOINT) {
+                form.querySelector('.fallback-submit').disabled = true;
+                this.setStatus(form, t('fallback.sending'));
+                
+                const lead = this.queue.enqueue({
+                    name: name,
+                    whatsapp: whatsapp,
+                    caseType: context.caseType || '',
+                    caseTypeLabel: CASE_TYPES[context.caseType] || '',
+                    description: [t('booking.leadDescription', { when: this.describeBogota(slot) }), context.summary].filter(Boolean).join('\n\n'),
+                    slot: { id: slot.id, start: slot.start.toISOString(), end: slot.end.toISOString() },
+                    holdId: holdId,
+                    source: 'booking',
+                    language: i18n.lang,
+                    reference: whatsAppComposer.getReference(),
+                    attribution: attributionTracker.toQueryParams(),
+                    page: window.location.href
+                });
+                
+                confirmed = await this.queue.deliver(lead);
+                // Retry only what the device managed to store
+                queued = !confirmed && this.queue.has(lead.id);
+                if (queued) this.queue.scheduleRetry();
+            }
+            
+            // Booked only when the slot was held and the lead reached the server
+            const booked = held && confirmed;
+            analytics.track(booked ? 'booking_confirmed' : 'booking_requested', {
+                event_category: 'engagement',
+                slot: slot.start.toISOString(),
+                held: held,
+                queued: queued
+            });
+            
+            this.clearHold();
+            this.write({
+                status: booked ? 'booked' : 'requested',
+                slotId: slot.id,
+                start: slot.start.toISOString(),
+                end: slot.end.toISOString(),
+                name: name
+            });
+            this.renderConfirmed(slot, name, booked);
+        }
+        
+        composeWhatsApp(slot, name, booked) {
+            const context = caseContext.get();
+            return [
+                t(booked ? 'booking.whatsappIntro' : 'booking.whatsappRequest', { when: this.describeBogota(slot) }),
+                name ? t('booking.whatsappName', { name: name }) : '',
+                context.summary || '',
+                `Ref: ${whatsAppComposer.getReference()}`
+            ].filter(Boolean).join('\n');
+        }
+        
+        renderConfirmed(slot, name, booked) {
+            this.container.innerHTML = `
+                <div class="booking-confirmed" role="status" data-booked="${booked}">
+                    <h3>${t(booked ? 'booking.confirmedTitle' : 'booking.requestedTitle')}</h3>
+                    <p class="booking-when"><strong>${this.formatDay(slot.start)}, ${this.formatTime(slot.start)}</strong></p>
+                    <p>${t(booked ? 'booking.confirmedHint' : 'booking.requestedHint')}</p>
+                    <div class="booking-actions">
+                        <a class="booking-whatsapp" target="_blank" rel="noopener noreferrer" href="#">${t(booked ? 'booking.whatsappBooked' : 'booking.whatsapp')}</a>
+                        <button type="button" class="booking-ics">${t('booking.ics')}</button>
+                    </div>
+                </div>
+            `;
+            
+            const link = this.container.querySelector('.booking-whatsapp');
+            link.href = buildWhatsAppURL(this.composeWhatsApp(slot, name, booked));
+            link.addEventListener('click', () => {
+                analytics.track('booking_whatsapp', { event_category: 'engagement' });
+            });
+            this.container.querySelector('.booking-ics').addEventListener('click', () => this.exportICS(slot, booked));
+        }
+        
+        exportICS(slot, booked) {
+            const ics = buildCalendarFile({
+                uid: `booking-${slot.id.replace(/[^\w-]/g, '')}-${whatsAppComposer.getReference()}@formalizese.com`,
+                start: slot.start,
+                end: slot.end,
+                title: t(booked ? 'booking.icsTitle' : 'booking.icsTitlePending'),
+                description: t('booking.icsDescription', { reference: whatsAppComposer.getReference() }),
+                alarmMinutesBefore: 15
+            });
+            
+            downloadFile(ics, t('booking.icsFilename', { date: toISODate(slot.start) }), 'text/calendar;charset=utf-8');
+            analytics.track('booking_ics', { event_category: 'engagement' });
+        }
+        
+        setStatus(form, message, type = 'info') {
+            const status = form.querySelector('.fallback-status');
+            if (!status) return;
+            status.textContent = message;
+            status.dataset.type = type;
+        }
+        
+        cleanup() {
+            clearInterval(this.holdTimer);
+        }
+    }
+    
+    const bookingWidget = new BookingWidget(
+        CONFIG.BOOKING_SLOTS_URL ? new JSONSlotsSource(CONFIG.BOOKING_SLOTS_URL, colombianCalendar) : null,
+        leadQueue
+    );
+    
+    // ====================================
+    // CASE CONTEXT (SHARED SESSION STATE)
+    // ====================================
+    // What the contador has told us about the case so far (act type,
+    // deadline...), shared between widgets for the rest of the session.
+    class CaseContext {
+        constructor() {
+            this.storageKey = 'fz_case_context';
+            this.listeners = new Set();
+        }
+        
+        get() {
+            try {
+                return JSON.parse(sessionStorage.getItem(this.storageKey)) || {};
+            } catch (e) {
+                return {};
+            }
+        }
+        
+        set(values) {
+            const next = { ...this.get(), ...values, updatedAt: new Date().toISOString() };
+            try {
+                sessionStorage.setItem(this.storageKey, JSON.stringify(next));
+            } catch (e) {
+                // Private mode: keep working without persistence
+            }
+            this.listeners.forEach(callback => callback(next));
+            return next;
+        }
+        
+        subscribe(callback) {
+            this.listeners.add(callback);
+            return () => this.listeners.delete(callback);
+        }
+    }
+    
+    const caseContext = new CaseContext();
+    
+    // ====================================
+    // DEADLINE CALCULATOR (DIAN / UGPP)
+    // ====================================
+    // Response terms. `unit`: 'months' | 'calendar' | 'business'.
+    // Terms ending on a non-business day roll over to the next business day.
+    const ACT_TYPES = {
+        requerimiento_ordinario: {
+            label: t('act.requerimiento_ordinario'),
+            entity: 'DIAN', amount: 15, unit: 'calendar', reference: 'Art. 686 E.T.'
+        },
+        emplazamiento_corregir: {
+            label: t('act.emplazamiento_corregir'),
+            entity: 'DIAN', amount: 1, unit: 'months', reference: 'Art. 685 E.T.'
+        },
+        emplazamiento_declarar: {
+            label: t('act.emplazamiento_declarar'),
+            entity: 'DIAN', amount: 1, unit: 'months', reference: 'Art. 715 E.T.'
+        },
+        pliego_cargos: {
+            label: t('act.pliego_cargos'),
+            entity: 'DIAN', amount: 1, unit: 'months', reference: 'Art. 638 E.T.'
+        },
+        requerimiento_especial: {
+            label: t('act.requerimiento_especial'),
+            entity: 'DIAN', amount: 3, unit: 'months', reference: 'Art. 707 E.T.'
+        },
+        liquidacion_oficial_dian: {
+            label: t('act.liquidacion_oficial_dian'),
+            entity: 'DIAN', amount: 2, unit: 'months', reference: 'Art. 720 E.T.'
+        },
+        requerimiento_ugpp: {
+            label: t('act.requerimiento_ugpp'),
+            entity: 'UGPP', amount: 3, unit: 'months', reference: 'Art. 180 Ley 1607 de 2012'
+        },
+        liquidacion_oficial_ugpp: {
+            label: t('act.liquidacion_oficial_ugpp'),
+            entity: 'UGPP', amount: 2, unit: 'months', reference: 'Art. 180 Ley 1607 de 2012'
+        },
+        otro: {
+            label: t('act.otro'),
+            entity: '', amount: null, unit: 'business', reference: ''
+        }
+    };
+    
+    class DeadlineCalculator {
+        constructor(calendar, context) {
+            this.calendar = calendar;
+            this.context = context;
+            this.container = null;
+            this.lastResult = null;
+        }
+        
+        init() {
+            this.container = document.getElementById('deadline-calculator');
+            if (!this.container) return;
+            
+            this.render();
+        }
+        
+        render() {
+            const actOptions = Object.entries(ACT_TYPES)
+                .map(([value, act]) => `<option value="${value}">${act.entity ? act.entity + ' · ' : ''}${act.label}</option>`)
+                .join('');
+            
+            this.container.innerHTML = `
+                <div class="deadline-header">
+                    <h3 id="deadline-calculator-title">${t('deadline.title')}</h3>
+                    <p>${t('deadline.intro')}</p>
+                </div>
+                <form class="deadline-form" novalidate>
+                    <div class="deadline-field">
+                        <label for="fz-deadline-date">${t('deadline.date')}</label>
+                        <input type="date" id="fz-deadline-date" name="notificationDate" required>
+                    </div>
+                    <div class="deadline-field">
+                        <label for="fz-deadline-act">${t('deadline.act')}</label>
+                        <select id="fz-deadline-act" name="actType" required>
+                            <option value="">${t('deadline.selectAct')}</option>
+                            ${actOptions}
+                        </select>
+                    </div>
+                    <div class="deadline-field" data-custom-days hidden>
+                        <label for="fz-deadline-days">${t('deadline.customDays')}</label>
+                        <input type="number" id="fz-deadline-days" name="customDays" min="1" max="365" inputmode="numeric">
+                    </div>
+                    <button type="submit" class="deadline-submit">${t('deadline.submit')}</button>
+                    <p class="deadline-error" role="alert"></p>
+                </form>
+                <div class="deadline-result" aria-live="polite" hidden></div>
+            `;
+            
+            const form = this.container.querySelector('.deadline-form');
+            const customDays = this.container.querySelector('[data-custom-days]');
+            
+            form.elements.notificationDate.max = getBogotaToday();
+            form.elements.actType.addEventListener('change', (e) => {
+                customDays.hidden = e.target.value !== 'otro';
+            });
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleSubmit(form);
+            });
+        }
+        
+        // Fills the form from outside (e.g. a read PDF) and calculates when complete
+        prefill({ notificationDate, actType }) {
+            const form = this.container && this.container.querySelector('.deadline-form');
+            if (!form) return null;
+            
+            if (notificationDate) form.elements.notificationDate.value = notificationDate;
+            if (ACT_TYPES[actType]) {
+                form.elements.actType.value = actType;
+                this.container.querySelector('[data-custom-days]').hidden = actType !== 'otro';
+            }
+            
+            if (notificationDate && ACT_TYPES[actType] && actType !== 'otro') {
+                this.handleSubmit(form);
+            }
+            return this.lastResult;
+        }
+        
+        handleSubmit(form) {
+            const error = form.querySelector('.deadline-error');
+            const notificationDate = form.elements.notificationDate.value;
+            const actType = form.elements.actType.value;
+            const customDays = parseInt(form.elements.customDays.value, 10);
+            
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(notificationDate)) {
+                error.textContent = t('deadline.errorDate');
+                return;
+            }
+            if (!ACT_TYPES[actType]) {
+                error.textContent = t('deadline.errorAct');
+                return;
+            }
+            if (actType === 'otro' && !(customDays > 0)) {
+                error.textContent = t('deadline.errorDays');
+                return;
+            }
+            
+            error.textContent = '';
+            const result = this.calculate(notificationDate, actType, customDays);
+            this.lastResult = result;
+            this.showResult(result);
+            
+            this.context.set({
+                actType: actType,
+                actLabel: result.act.label,
+                entity: result.act.entity,
+                notificationDate: result.notificationDate,
+                dueDate: result.dueDate
+            });
+            analytics.track('deadline_calculated', {
+                event_category: 'tools',
+                act_type: actType,
+                business_days_left: result.businessDaysLeft
+            });
+        }
+        
+        calculate(notificationDate, actType, customDays) {
+            const act = ACT_TYPES[actType];
+            const amount = actType === 'otro' ? customDays : act.amount;
+            const start = parseISODate(notificationDate);
+            
+            let due;
+            if (act.unit === 'business') {
+                due = this.calendar.addBusinessDays(start, amount);
+            } else if (act.unit === 'months') {
+                due = this.calendar.nextBusinessDay(addMonths(start, amount));
+            } else {
+                due = this.calendar.nextBusinessDay(addDays(start, amount));
+            }
+            
+            const today = parseISODate(getBogotaToday());
+            
+            return {
+                act: act,
+                amount: amount,
+                notificationDate: notificationDate,
+                dueDate: toISODate(due),
+                businessDaysLeft: this.calendar.countBusinessDays(today, due),
+                calendarDaysLeft: Math.round((due - today) / 86400000),
+                holidays: this.calendar.holidaysBetween(start, due)
+            };
+        }
+        
+        describeTerm(result) {
+            if (result.act.unit === 'months') {
+                return t('unit.months', { count: result.amount });
+            }
+            if (result.act.unit === 'calendar') {
+                return t('unit.calendarDays', { count: result.amount });
+            }
+            return t('unit.businessDays', { count: result.amount });
+        }
+        
+        getStatus(result) {
+            if (result.calendarDaysLeft < 0) return 'expired';
+            if (result.businessDaysLeft <= 5) return 'critical';
+            if (result.businessDaysLeft <= 10) return 'high';
+            return 'ok';
+        }
+        
+        showResult(result) {
+            const output = this.container.querySelector('.deadline-result');
+            const status = this.getStatus(result);
+            const dueLabel = formatLongDate(result.dueDate);
+            
+            let remaining;
+            if (status === 'expired') {
+                remaining = t('deadline.expired', { days: t('unit.days', { count: Math.abs(result.calendarDaysLeft) }) });
+            } else if (result.calendarDaysLeft === 0) {
+                remaining = t('deadline.dueToday');
+            } else {
+                remaining = `<span class="deadline-days">${result.businessDaysLeft}</span> ` +
+                    `${t('deadline.remaining', { count: result.businessDaysLeft })} ` +
+                    `(${t('unit.calendarDays', { count: result.calendarDaysLeft })})`;
+            }
+            
+            const basis = [this.describeTerm(result), result.act.reference].filter(Boolean).join(' · ');
+            const holidays = result.holidays.length
+                ? `<p class="deadline-holidays">${t('deadline.holidays', { list: result.holidays.map(h => `${h.name} (${formatShortDate(h.date)})`).join(', ') })}</p>`
+                : '';
+            
+            output.dataset.status = status;
+            output.innerHTML = `
+                <span class="deadline-result-label">${t('deadline.dueLabel')}</span>
+                <strong class="deadline-due">${dueLabel}</strong>
+                <div class="deadline-remaining">${remaining}</div>
+                <p class="deadline-basis">${t('deadline.term', { term: basis })}</p>
+                ${holidays}
+                <div class="deadline-actions">
+                    <button type="button" class="deadline-ics">${t('deadline.ics')}</button>
+                </div>
+                <p class="deadline-disclaimer">${t('deadline.disclaimer')}</p>
+            `;
+            output.hidden = false;
+            
+            output.querySelector('.deadline-ics').addEventListener('click', () => this.exportICS(result));
+        }
+        
+        exportICS(result) {
+            const title = t('deadline.icsTitle', { act: `${result.act.label}${result.act.entity ? ' (' + result.act.entity + ')' : ''}` });
+            const description = [
+                t('deadline.icsServed', { date: formatLongDate(result.notificationDate) }),
+                `${t('deadline.term', { term: this.describeTerm(result) })}${result.act.reference ? ' - ' + result.act.reference : ''}.`,
+                t('deadline.icsFooter')
+            ].join('\n');
+            
+            const ics = buildCalendarFile({
+                uid: `deadline-${result.dueDate}-${Date.now()}@formalizese.com`,
+                date: result.dueDate,
+                title: title,
+                description: description,
+                alarmDaysBefore: 3
+            });
+            
+            downloadFile(ics, t('deadline.icsFilename', { date: result.dueDate }), 'text/calendar;charset=utf-8');
+        }
+    }
+    
+    const deadlineCalculator = new DeadlineCalculator(colombianCalendar, caseContext);
+    
+    // ====================================
+    // ACT PDF READER
+    // ====================================
+    // Text comes from the bundled pdf.js 4.10.38 legacy build (js/vendor/pdfjs, Apache-2.0),
+    // loaded on the first file and parsed in its worker. Scans yield no text.
+    // Nothing here touches the network besides loading pdf.js itself.
+    class PdfTextExtractor {
+        static isSupported() {
+            return typeof Worker === 'function' && 'noModule' in HTMLScriptElement.prototype;
+        }
+        
+        constructor() {
+            this.library = null;
+        }
+        
+        load() {
+            if (!this.library) {
+                this.library = import(new URL(CONFIG.PDFJS_URL, document.baseURI).href).then(pdfjs => {
+                    pdfjs.GlobalWorkerOptions.workerSrc = new URL(CONFIG.PDFJS_WORKER_URL, document.baseURI).href;
+                    return pdfjs;
+                });
+                // A failed load may be a network blip; allow a retry
+                this.library.catch(() => { this.library = null; });
+            }
+            return this.library;
+        }
+        
+        // Text of the first ACT_READER_MAX_PAGES pages, one line per text line
+        async extract(buffer) {
+            const pdfjs = await this.load();
+            const task = pdfjs.getDocument({
+                data: new Uint8Array(buffer),
+                isEvalSupported: false,
+                disableFontFace: true,
+                useSystemFonts: false
+            });
+            
+            try {
+                const pdf = await task.promise;
+                const pages = Math.min(pdf.numPages, CONFIG.ACT_READER_MAX_PAGES);
+                let text = '';
+                
+                for (let number = 1; number <= pages; number++) {
+                    const page = await pdf.getPage(number);
+                    const content = await page.getTextContent();
+                    content.items.forEach(item => {
+                        text += (item.str || '') + (item.hasEOL ? '\n' : '');
+                    });
+                    text += '\n';
+                    page.cleanup();
+                }
+                
+                return text;
+            } catch (e) {
+                if (e && e.name === 'PasswordException') throw new Error('encrypted');
+                if (e && e.name === 'InvalidPDFException') throw new Error('not-pdf');
+                throw e;
+            } finally {
+                task.destroy();
+            }
+        }
+    }
+    
+    // Keyword -> ACT_TYPES key, most specific first; `entity` limits a rule
+    // to acts issued by that entity
+    const ACT_PATTERNS = [
+        { type: 'liquidacion_oficial_ugpp', pattern: /liquidacion oficial/, entity: 'UGPP' },
+        { type: 'requerimiento_ugpp', pattern: /requerimiento para declarar y\/?o corregir|requerimiento de informacion/, entity: 'UGPP' },
+        { type: 'liquidacion_oficial_dian', pattern: /liquidacion oficial (de )?(revision|aforo|correccion)/ },
+        { type: 'requerimiento_especial', pattern: /requerimiento especial/ },
+        { type: 'pliego_cargos', pattern: /pliego de cargos/ },
+        { type: 'emplazamiento_corregir', pattern: /emplazamiento para corregir/ },
+        { type: 'emplazamiento_declarar', pattern: /emplazamiento para declarar/ },
+        { type: 'requerimiento_ordinario', pattern: /requerimiento ordinario|requerimiento de informacion/ }
+    ];
+    
+    const MONTHS_ES = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'];
+    
+    function toPlainText(text) {
+        return text.replace(/\s+/g, ' ').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+    
+    // The act's own title decides: uppercase heading lines first, then the
+    // earliest mention. Acts cite the ones that may follow them (a
+    // requerimiento warns about the liquidación oficial), so any mention is not enough.
+    function classifyAct(text, entity) {
+        const rules = ACT_PATTERNS.filter(rule => !rule.entity || rule.entity === entity);
+        const earliest = (plain) => {
+            let best = null;
+            rules.forEach(rule => {
+                const index = plain.search(rule.pattern);
+                if (index !== -1 && (!best || index < best.index)) best = { rule: rule, index: index };
+            });
+            return best ? best.rule.type : '';
+        };
+        
+        const headings = text.split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length < 160 && /\p{Lu}{4}/u.test(line) && line === line.toUpperCase());
+        
+        return earliest(toPlainText(headings.join('\n'))) || earliest(toPlainText(text));
+    }
+    
+    // Pulls the case details out of an act's text. Every field may be
+    // missing; the contador confirms them before anything is used.
+    function parseActText(text) {
+        const flat = text.replace(/\s+/g, ' ');
+        const plain = toPlainText(text);
+        
+        const entity = /\bugpp\b|unidad (administrativa especial )?de gestion pensional/.test(plain) ? 'UGPP'
+            : /\bdian\b|direccion de impuestos/.test(plain) ? 'DIAN' : '';
+        
+        const reference = plain.match(/(?:expediente|radicado|radicacion|auto comisorio)\s*(?:numero|no\.?|nro\.?|n[°º])?\s*[:.]?\s*([a-z0-9][a-z0-9\-\/.]*\d[a-z0-9\-\/]*)/);
+        
+        return {
+            entity: entity,
+            actType: classifyAct(text, entity),
+            reference: reference ? reference[1].toUpperCase() : '',
+            notificationDate: findActDate(plain),
+            period: findTaxPeriod(plain),
+            amounts: findAmounts(flat)
+        };
+    }
+    
+    // ISO dates in reading order, from dd/mm/yyyy, yyyy-mm-dd and "12 de marzo de 2026"
+    function findDates(plain) {
+        const dates = [];
+        const pattern = new RegExp(`(\\d{1,2})[\\/\\-.](\\d{1,2})[\\/\\-.](\\d{4})|(\\d{4})-(\\d{2})-(\\d{2})|(\\d{1,2}) de (${MONTHS_ES.join('|')}) (?:de |del )?(\\d{4})`, 'g');
+        let match;
+        
+        while ((match = pattern.exec(plain))) {
+            const [day, month, year] = match[1] ? [match[1], match[2], match[3]]
+                : match[4] ? [match[6], match[5], match[4]]
+                : [match[7], MONTHS_ES.indexOf(match[8]) + 1, match[9]];
+            const iso = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+            const date = parseISODate(iso);
+            if (date && toISODate(date) === iso) dates.push({ iso: iso, index: match.index });
+        }
+        
+        return dates;
+    }
+    
+    // The date after "notificad..." wins; otherwise the latest past date in the act
+    function findActDate(plain) {
+        const today = getBogotaToday();
+        const dates = findDates(plain).filter(date => date.iso <= today);
+        const notified = /notific/g;
+        let match;
+        
+        while ((match = notified.exec(plain))) {
+            const near = dates.find(date => date.index > match.index && date.index - match.index < 120);
+            if (near) return near.iso;
+        }
+        
+        return dates.length ? dates.map(date => date.iso).sort().pop() : '';
+    }
+    
+    function findTaxPeriod(plain) {
+        const range = plain.match(/periodos? (?:de |comprendidos? entre )?(?:[a-z]+ (?:de |del )?)?(\d{4}) (?:a|al|hasta|y) (?:[a-z]+ (?:de |del )?)?(\d{4})/);
+        if (range && range[1] < range[2]) return `${range[1]} - ${range[2]}`;
+        
+        const bimester = plain.match(/(\d)\s*(?:er|do|ro|to|o|°|º)?\.?\s*bimestre (?:de |del )?(?:ano )?(?:gravable )?(\d{4})/);
+        if (bimester) return `${bimester[1]}B ${bimester[2]}`;
+        
+        const years = [];
+        const pattern = /(?:ano|periodo) gravable (?:de |del )?[:.]?\s*(\d{4})|vigencia (?:fiscal )?(?:de |del )?[:.]?\s*(\d{4})/g;
+        let match;
+        while ((match = pattern.exec(plain))) {
+            const year = match[1] || match[2];
+            if (!years.includes(year)) years.push(year);
+        }
+        return years.sort().join(', ');
+    }
+    
+    // "$ 11.400.000", "$11,400,000.00"; small figures (fees, UVT) are left out
+    function findAmounts(flat) {
+        const amounts = [];
+        const pattern = /\$\s*(\d{1,3}(?:[.,\s]\d{3})+|\d{6,})(?:[.,]\d{1,2})?(?!\d)/g;
+        let match;
+        
+        while ((match = pattern.exec(flat))) {
+            const value = Number(match[1].replace(/\D/g, ''));
+            if (value >= 100000 && !amounts.includes(value)) amounts.push(value);
+        }
+        
+        return amounts.sort((a, b) => b - a).slice(0, 5);
+    }
+    
+    class ActDocumentReader {
+        constructor(context, calculator) {
+            this.context = context;
+            this.calculator = calculator;
+            this.extractor = new PdfTextExtractor();
+            this.container = null;
+            this.file = null;
+        }
+        
+        init() {
+            this.container = document.querySelector('.act-reader');
+            if (!this.container || !PdfTextExtractor.isSupported() || typeof Blob.prototype.arrayBuffer !== 'function') return;
+            
+            this.renderDropZone();
+            this.container.hidden = false;
+        }
+        
+        renderDropZone(message, type = 'info') {
+            this.file = null;
+            this.container.innerHTML = `
+                <label class="act-reader-drop">
+                    <strong>${t('reader.title')}</strong>
+                    <span>${t('reader.intro')}</span>
+                    <span class="act-reader-choose">${t('reader.choose')}</span>
+                    <small>${t('reader.privacy')}</small>
+                    <input type="file" class="act-reader-input" accept="application/pdf,.pdf">
+                </label>
+                <p class="fallback-status" role="status" aria-live="polite"></p>
+            `;
+            
+            const drop = this.container.querySelector('.act-reader-drop');
+            const input = this.container.querySelector('.act-reader-input');
+            if (message) this.setStatus(message, type);
+            
+            input.addEventListener('change', () => {
+                if (input.files[0]) this.read(input.files[0]);
+            });
+            ['dragenter', 'dragover'].forEach(name => drop.addEventListener(name, (e) => {
+                e.preventDefault();
+                drop.classList.add('is-dragover');
+            }));
+            ['dragleave', 'drop'].forEach(name => drop.addEventListener(name, (e) => {
+                e.preventDefault();
+                drop.classList.remove('is-dragover');
+            }));
+            drop.addEventListener('drop', (e) => {
+                const file = e.dataTransfer && e.dataTransfer.files[0];
+                if (file) this.read(file);
+            });
+        }
+        
+        async read(file) {
+            if (file.type !== 'application/pdf' && !/\.pdf$/i.test(file.name)) {
+                this.setStatus(t('reader.notPdf'), 'warning');
+                return;
+            }
+            if (file.size > CONFIG.ACT_READER_MAX_MB * 1024 * 1024) {
+                this.setStatus(t('reader.tooLarge', { size: CONFIG.ACT_READER_MAX_MB }), 'warning');
+                return;
+            }
+            
+            this.setStatus(t('reader.reading', { file: file.name }));
+            
+            let fields;
+            try {
+                const text = await this.extractor.extract(await file.arrayBuffer());
+                if (!text.trim()) throw new Error('no-text');
+                fields = parseActText(text);
+            } catch (e) {
+                const reason = ['not-pdf', 'encrypted', 'no-text'].includes(e.message) ? e.message : 'failed';
+                errorReporter.breadcrumb('reader', 'pdf not read', { reason: reason });
+                analytics.track('act_pdf_read', { event_category: 'tools', result: reason });
+                this.setStatus(t({ 'not-pdf': 'reader.notPdf', encrypted: 'reader.encrypted', 'no-text': 'reader.noText', failed: 'reader.failed' }[reason]), 'warning');
+                return;
+            }
+            
+            // Only which fields were found, never their values
+            analytics.track('act_pdf_read', {
+                event_category: 'tools',
+                result: 'parsed',
+                act_type: fields.actType || 'none',
+                found: ['reference', 'notificationDate', 'period'].filter(key => fields[key]).concat(fields.amounts.length ? ['amount'] : []).join(',')
+            });
+            
+            this.file = file;
+            this.renderReview(fields);
+        }
+        
+        renderReview(fields) {
+            const actOptions = Object.entries(ACT_TYPES)
+                .map(([value, act]) => `<option value="${value}"${value === fields.actType ? ' selected' : ''}>${act.entity ? act.entity + ' · ' : ''}${act.label}</option>`)
+                .join('');
+            const amountOptions = fields.amounts
+                .map(amount => `<option value="${amount}">${formatCOP(amount)}</option>`)
+                .join('');
+            
+            this.container.innerHTML = `
+                <form class="act-reader-review" novalidate>
+                    <h3>${t('reader.review', { file: escapeHTML(this.file.name) })}</h3>
+                    <p>${t('reader.reviewHint')}</p>
+                    <div class="fallback-field">
+                        <label for="fz-act-type">${t('reader.act')}</label>
+                        <select id="fz-act-type" name="actType">
+                            <option value="">${t('deadline.selectAct')}</option>
+                            ${actOptions}
+                        </select>
+                    </div>
+                    <div class="fallback-field">
+                        <label for="fz-act-reference">${t('reader.reference')}</label>
+                        <input type="text" id="fz-act-reference" name="reference" autocomplete="off">
+                    </div>
+                    <div class="fallback-field">
+                        <label for="fz-act-date">${t('reader.notificationDate')}</label>
+                        <input type="date" id="fz-act-date" name="notificationDate" max="${getBogotaToday()}">
+                    </div>
+                    <div class="fallback-field">
+                        <label for="fz-act-period">${t('reader.period')}</label>
+                        <input type="text" id="fz-act-period" name="period" autocomplete="off">
+                    </div>
+                    <div class="fallback-field">
+                        <label for="fz-act-amount">${t('reader.amount')}</label>
+                        <select id="fz-act-amount" name="amount">
+                            ${amountOptions}
+                            <option value="">${t('reader.noAmount')}</option>
+                        </select>
+                    </div>
+                    ${CONFIG.ACT_UPLOAD_URL ? `
+                        <label class="act-reader-attach">
+                            <input type="checkbox" name="attach">
+                            <span>${t('reader.attach')}</span>
+                        </label>
+                    ` : `<p class="act-reader-privacy">${t('reader.privacy')}</p>`}
+                    <button type="submit" class="fallback-submit">${t('reader.apply')}</button>
+                    <button type="button" class="act-reader-discard">${t('reader.discard')}</button>
+                    <p class="fallback-status" role="status" aria-live="polite"></p>
+                </form>
+            `;
+            
+            const form = this.container.querySelector('.act-reader-review');
+            form.elements.reference.value = fields.reference;
+            form.elements.notificationDate.value = fields.notificationDate;
+            form.elements.period.value = fields.period;
+            form.dataset.entity = fields.entity;
+            
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.apply(form);
+            });
+            form.querySelector('.act-reader-discard').addEventListener('click', () => this.renderDropZone());
+            form.querySelector('select, input').focus();
+        }
+        
+        apply(form) {
+            const actType = form.elements.actType.value;
+            const act = ACT_TYPES[actType];
+            const entity = act && act.entity ? act.entity : form.dataset.entity;
+            const values = {
+                reference: form.elements.reference.value.trim(),
+                notificationDate: form.elements.notificationDate.value,
+                period: form.elements.period.value.trim(),
+                amount: Number(form.elements.amount.value) || null
+            };
+            
+            const result = this.calculator.prefill({ notificationDate: values.notificationDate, actType: actType });
+            const known = this.context.get();
+            // Keep the triage summary and replace what an earlier PDF added
+            const base = known.document ? known.summaryBase : known.summary;
+            const lines = [
+                t('summary.document', { value: this.file.name }),
+                act ? t('summary.act', { value: `${act.label}${act.entity ? ` (${act.entity})` : ''}` }) : '',
+                values.reference ? t('summary.reference', { value: values.reference }) : '',
+                values.period ? t('summary.periods', { value: values.period }) : '',
+                values.amount ? t('summary.amount', { value: formatCOP(values.amount) }) : '',
+                result ? t('summary.dueDate', { value: formatLongDate(result.dueDate) }) : ''
+            ].filter(Boolean);
+            
+            const next = this.context.set({
+                caseType: entity === 'UGPP' ? 'ugpp' : entity === 'DIAN' ? 'dian' : known.caseType,
+                document: { actType: actType, ...values },
+                summaryBase: base || '',
+                summary: [base, lines.join('\n')].filter(Boolean).join('\n\n')
+            });
+            renderCaseSummary(next);
+            
+            analytics.track('act_pdf_applied', {
+                event_category: 'tools',
+                act_type: actType || 'none',
+                attached: Boolean(form.elements.attach && form.elements.attach.checked)
+            });
+            
+            if (form.elements.attach && form.elements.attach.checked) {
+                this.upload(this.file);
+            }
+            
+            this.renderDropZone(t('reader.applied'), 'success');
+        }
+        
+        // Only on explicit opt-in; the file goes to ACT_UPLOAD_URL and nowhere else
+        async upload(file) {
+            const body = new FormData();
+            body.append('file', file, file.name);
+            body.append('reference', whatsAppComposer.getReference());
+            
+            try {
+                const response = await fetch(CONFIG.ACT_UPLOAD_URL, { method: 'POST', body: body });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                showNotification(t('reader.uploaded'), 'success');
+            } catch (e) {
+                errorReporter.breadcrumb('reader', 'upload failed', { message: e.message });
+                showNotification(t('reader.uploadFailed'), 'warning');
+            }
+        }
+        
+        setStatus(message, type = 'info') {
+            const status = this.container.querySelector('.fallback-status');
+            if (!status) return;
+            status.textContent = message;
+            status.dataset.type = type;
+        }
+    }
+
+    // ====================================
+    // CASE TRIAGE WIZARD
+    // ====================================
+    const TRIAGE_AMOUNTS = [
+        { value: 'lt50', label: t('triage.amountLt50'), score: 0 },
+        { value: '50-500', label: t('triage.amount50to500'), score: 1 },
+        { value: '500-2000', label: t('triage.amount500to2000'), score: 2 },
+        { value: 'gt2000', label: t('triage.amountGt2000'), score: 3 },
+        { value: 'unknown', label: t('triage.amountUnknown'), score: 1 }
+    ];
+    
+    const TRIAGE_DEADLINES = [
+        { value: 'expired', label: t('triage.deadlineExpired'), score: 3, critical: true },
+        { value: 'lte5', label: t('triage.deadlineLte5'), score: 3, critical: true },
+        { value: '6-15', label: t('triage.deadline6to15'), score: 2 },
+        { value: 'gt15', label: t('triage.deadlineGt15'), score: 1 },
+        { value: 'none', label: t('triage.deadlineNone'), score: 0 }
+    ];
+    
+    // Acts that already carry a proposed or final assessment
+    const SEVERE_ACTS = ['requerimiento_especial', 'pliego_cargos', 'liquidacion_oficial_dian', 'liquidacion_oficial_ugpp'];
+    
+    const URGENCY_LEVELS = {
+        critical: { label: t('urgency.critical'), description: t('urgency.criticalText') },
+        high: { label: t('urgency.high'), description: t('urgency.highText') },
+        medium: { label: t('urgency.medium'), description: t('urgency.mediumText') }
+    };
+    
+    class TriageWizard {
+        constructor(context, calendar) {
+            this.context = context;
+            this.calendar = calendar;
+            this.modal = null;
+            this.trigger = null;
+            this.stepIndex = 0;
+            this.answers = {};
+            this.steps = ['act', 'amount', 'years', 'deadline'];
+            this.handleKeydown = (e) => this.onKeydown(e);
+        }
+        
+        init() {
+            document.querySelectorAll('.problem-card[data-case-type]').forEach(card => {
+                if (card.querySelector('.problem-card-cta')) return;
+                
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'problem-card-cta';
+                button.textContent = t('triage.cta');
+                button.addEventListener('click', () => this.open(card.dataset.caseType, button));
+                card.appendChild(button);
+            });
+        }
+        
+        open(caseType, trigger) {
+            this.trigger = trigger || null;
+            this.stepIndex = 0;
+            this.answers = { caseType: CASE_TYPES[caseType] ? caseType : 'dian', years: [] };
+            
+            // Reuse what the deadline calculator already knows
+            const known = this.context.get();
+            if (known.actType && ACT_TYPES[known.actType]) {
+                this.answers.actType = known.actType;
+            }
+            if (known.dueDate) {
+                this.answers.deadline = this.classifyDueDate(known.dueDate);
+            }
+            
+            this.createModal();
+            this.renderStep();
+            document.addEventListener('keydown', this.handleKeydown);
+        }
+        
+        close() {
+            if (!this.modal) return;
+            document.removeEventListener('keydown', this.handleKeydown);
+            this.modal.remove();
+            this.modal = null;
+            document.body.classList.remove('modal-open');
+            if (this.trigger) this.trigger.focus();
+        }
+        
+        createModal() {
+            if (this.modal) this.modal.remove();
+            
+            this.modal = document.createElement('div');
+            this.modal.className = 'triage-modal';
+            this.modal.innerHTML = `
+                <div class="triage-backdrop" data-close></div>
+                <div class="triage-dialog" role="dialog" aria-modal="true" aria-labelledby="triage-title">
+                    <button type="button" class="triage-close" data-close aria-label="${t('common.close')}">&times;</button>
+                    <p class="triage-eyebrow">${CASE_TYPES[this.answers.caseType]}</p>
+                    <h3 id="triage-title">${t('triage.title')}</h3>
+                    <div class="triage-progress" aria-hidden="true"><span></span></div>
+                    <div class="triage-body"></div>
+                </div>
+            `;
+            
+            this.modal.addEventListener('click', (e) => {
+                if (e.target.closest('[data-close]')) this.close();
+            });
+            
+            document.body.appendChild(this.modal);
+            document.body.classList.add('modal-open');
+        }
+        
+        onKeydown(e) {
+            if (e.key === 'Escape') {
+                this.close();
+                return;
+            }
+            
+            trapFocus(e, this.modal);
+        }
+        
+        getActOptions() {
+            const entity = this.answers.caseType === 'ugpp' ? 'UGPP' : this.answers.caseType === 'dian' ? 'DIAN' : null;
+            const acts = Object.entries(ACT_TYPES)
+                .filter(([value, act]) => value !== 'otro' && (!entity || act.entity === entity));
+            
+            return acts
+                .map(([value, act]) => ({ value: value, label: entity ? act.label : `${act.entity} · ${act.label}` }))
+                .concat([{ value: 'ninguno', label: t('triage.noAct') }]);
+        }
+        
+        getYearOptions() {
+            const current = new Date().getFullYear();
+            const years = [];
+            for (let year = current - 1; year >= current - 5; year--) {
+                years.push({ value: String(year), label: String(year) });
+            }
+            years.push({ value: 'anteriores', label: t('triage.yearsBefore', { year: current - 5 }) });
+            return years;
+        }
+        
+        renderOptions(name, options, type, selected) {
+            return options.map(option => {
+                const checked = Array.isArray(selected) ? selected.includes(option.value) : selected === option.value;
+                return `
+                    <label class="triage-option">
+                        <input type="${type}" name="${name}" value="${option.value}" ${checked ? 'checked' : ''}>
+                        <span>${option.label}</span>
+                    </label>
+                `;
+            }).join('');
+        }
+        
+        renderStep() {
+            const step = this.steps[this.stepIndex];
+            const body = this.modal.querySelector('.triage-body');
+            const progress = this.modal.querySelector('.triage-progress span');
+            progress.style.width = `${((this.stepIndex + 1) / (this.steps.length + 1)) * 100}%`;
+            
+            const questions = {
+                act: {
+                    legend: t('triage.questionAct'),
+                    content: this.renderOptions('actType', this.getActOptions(), 'radio', this.answers.actType)
+                },
+                amount: {
+                    legend: t('triage.questionAmount'),
+                    content: this.renderOptions('amount', TRIAGE_AMOUNTS, 'radio', this.answers.amount)
+                },
+                years: {
+                    legend: t('triage.questionYears'),
+                    content: this.renderOptions('years', this.getYearOptions(), 'checkbox', this.answers.years)
+                },
+                deadline: {
+                    legend: t('triage.questionDeadline'),
+                    content: this.renderOptions('deadline', TRIAGE_DEADLINES, 'radio', this.answers.deadline)
+                }
+            };
+            
+            const question = questions[step];
+            body.innerHTML = `
+                <form class="triage-step" novalidate>
+                    <p class="triage-counter">${t('triage.step', { current: this.stepIndex + 1, total: this.steps.length })}</p>
+                    <fieldset>
+                        <legend>${question.legend}</legend>
+                        <div class="triage-options">${question.content}</div>
+                    </fieldset>
+                    <p class="triage-error" role="alert"></p>
+                    <div class="triage-nav">
+                        ${this.stepIndex > 0 ? `<button type="button" class="triage-back">${t('triage.back')}</button>` : ''}
+                        <button type="submit" class="triage-next">${t(this.stepIndex === this.steps.length - 1 ? 'triage.result' : 'triage.next')}</button>
+                    </div>
+                </form>
+            `;
+            
+            const form = body.querySelector('.triage-step');
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.next(form, step);
+            });
+            
+            const back = form.querySelector('.triage-back');
+            if (back) {
+                back.addEventListener('click', () => {
+                    this.stepIndex--;
+                    this.renderStep();
+                });
+            }
+            
+            const firstInput = form.querySelector('input:checked') || form.querySelector('input');
+            if (firstInput) firstInput.focus();
+        }
+        
+        next(form, step) {
+            const error = form.querySelector('.triage-error');
+            
+            if (step === 'years') {
+                this.answers.years = Array.from(form.querySelectorAll('input[name="years"]:checked')).map(input => input.value);
+                if (!this.answers.years.length) {
+                    error.textContent = t('triage.errorYears');
+                    return;
+                }
+            } else {
+                const name = step === 'act' ? 'actType' : step;
+                const checked = form.querySelector(`input[name="${name}"]:checked`);
+                if (!checked) {
+                    error.textContent = t('triage.errorOption');
+                    return;
+                }
+                this.answers[name] = checked.value;
+            }
+            
+            if (this.stepIndex < this.steps.length - 1) {
+                this.stepIndex++;
+                this.renderStep();
+            } else {
+                this.finish();
+            }
+        }
+        
+        classifyDueDate(dueDate) {
+            const today = parseISODate(getBogotaToday());
+            const due = parseISODate(dueDate);
+            if (due < today) return 'expired';
+            
+            const left = this.calendar.countBusinessDays(today, due);
+            if (left <= 5) return 'lte5';
+            if (left <= 15) return '6-15';
+            return 'gt15';
+        }
+        
+        computeUrgency(answers) {
+            const deadline = TRIAGE_DEADLINES.find(option => option.value === answers.deadline);
+            const amount = TRIAGE_AMOUNTS.find(option => option.value === answers.amount);
+            
+            let score = (deadline ? deadline.score : 0) + (amount ? amount.score : 0);
+            if (SEVERE_ACTS.includes(answers.actType)) score += 2;
+            else if (answers.actType && answers.actType !== 'ninguno') score += 1;
+            if (answers.years.length >= 3) score += 1;
+            
+            if ((deadline && deadline.critical) || score >= 7) return 'critical';
+            if (score >= 3) return 'high';
+            return 'medium';
+        }
+        
+        buildSummary(answers, urgency) {
+            const act = ACT_TYPES[answers.actType];
+            const amount = TRIAGE_AMOUNTS.find(option => option.value === answers.amount);
+            const deadline = TRIAGE_DEADLINES.find(option => option.value === answers.deadline);
+            const known = this.context.get();
+            
+            const lines = [
+                t('summary.urgency', { value: URGENCY_LEVELS[urgency].label }),
+                t('summary.case', { value: CASE_TYPES[answers.caseType] }),
+                t('summary.act', { value: act ? `${act.label} (${act.entity})` : t('summary.noAct') }),
+                t('summary.amount', { value: amount ? amount.label : '-' }),
+                t('summary.periods', { value: answers.years.map(year => year === 'anteriores' ? t('summary.yearsBefore', { year: new Date().getFullYear() - 5 }) : year).join(', ') }),
+                t('summary.deadline', { value: deadline ? deadline.label : '-' })
+            ];
+            
+            if (known.dueDate && known.actType === answers.actType) {
+                lines.push(t('summary.dueDate', { value: formatLongDate(known.dueDate) }));
+            }
+            
+            return lines.join('\n');
+        }
+        
+        finish() {
+            const urgency = this.computeUrgency(this.answers);
+            const summary = this.buildSummary(this.answers, urgency);
+            
+            this.context.set({
+                caseType: this.answers.caseType,
+                triage: { ...this.answers, urgency: urgency },
+                summary: summary
+            });
+            analytics.track('triage_completed', {
+                event_category: 'engagement',
+                case_type: this.answers.caseType,
+                act_type: this.answers.actType,
+                urgency: urgency
+            });
+            
+            const level = URGENCY_LEVELS[urgency];
+            const isCritical = urgency === 'critical';
+            const body = this.modal.querySelector('.triage-body');
+            this.modal.querySelector('.triage-progress span').style.width = '100%';
+            
+            body.innerHTML = `
+                <div class="triage-result" data-urgency="${urgency}">
+                    <span class="triage-level">${t('triage.level', { level: level.label })}</span>
+                    <p>${level.description}</p>
+                    <pre class="triage-summary-text"></pre>
+                    <div class="triage-nav">
+                        <button type="button" class="${isCritical ? 'triage-secondary' : 'triage-next'}" data-route="form">${t('triage.toForm')}</button>
+                        <a class="${isCritical ? 'triage-next' : 'triage-secondary'}" data-route="whatsapp" data-whatsapp="triage"
+                           target="_blank" rel="noopener noreferrer" href="#">${t('triage.toWhatsApp')}</a>
+                        ${bookingWidget.isReady() ? `<button type="button" class="triage-secondary" data-route="booking">${t('triage.toBooking')}</button>` : ''}
+                    </div>
+                </div>
+            `;
+            body.querySelector('.triage-summary-text').textContent = summary;
+            body.querySelector('[data-route="whatsapp"]').href = whatsAppComposer.buildLink('triage', this.trigger);
+            
+            body.querySelector('[data-route="form"]').addEventListener('click', () => this.routeToForm());
+            const booking = body.querySelector('[data-route="booking"]');
+            if (booking) {
+                booking.addEventListener('click', () => {
+                    this.close();
+                    renderCaseSummary(this.context.get());
+                    bookingWidget.focus();
+                });
+            }
+            body.querySelector('[data-route="whatsapp"]').addEventListener('click', () => {
+                setTimeout(() => this.close(), 0);
+            });
+            body.querySelector(isCritical ? '[data-route="whatsapp"]' : '[data-route="form"]').focus();
+        }
+        
+        routeToForm() {
+            this.close();
+            formLoader.updateSource();
+            renderCaseSummary(this.context.get());
+            
+            const section = document.getElementById('form-section');
+            if (section) {
+                window.scrollTo({ top: section.offsetTop - 80, behavior: 'smooth' });
+            }
+        }
+    }
+    
+    // Summary card shown above the consultation form so it can be pasted in
+    function renderCaseSummary(context) {
+        const wrapper = document.querySelector('.form-main-wrapper');
+        if (!wrapper || !context.summary) return;
+        
+        let card = document.querySelector('.case-summary-card');
+        if (!card) {
+            card = document.createElement('div');
+            card.className = 'case-summary-card';
+            card.innerHTML = `
+                <div class="case-summary-header">
+                    <strong>${t('summary.title')}</strong>
+                    <button type="button" class="case-summary-copy">${t('summary.copy')}</button>
+                </div>
+                <pre class="case-summary-text"></pre>
+                <p class="case-summary-hint"></p>
+            `;
+            wrapper.insertBefore(card, wrapper.firstChild);
+            
+            card.querySelector('.case-summary-copy').addEventListener('click', (e) => {
+                const text = card.querySelector('.case-summary-text').textContent;
+                if (navigator.clipboard) {
+                    navigator.clipboard.writeText(text).then(() => {
+                        e.target.textContent = t('summary.copied');
+                        setTimeout(() => { e.target.textContent = t('summary.copy'); }, 2000);
+                    });
+                }
+            });
+        }
+        
+        card.querySelector('.case-summary-text').textContent = context.summary;
+        card.querySelector('.case-summary-hint').textContent = t(formLoader.carriesSummary() ? 'summary.hintPrefilled' : 'summary.hint');
+        card.dataset.urgency = context.triage ? context.triage.urgency : '';
+    }
+    
+    // ====================================
+    // WHATSAPP LINK COMPOSER
+    // ====================================
+    const WHATSAPP_INTROS = {
+        hero: t('whatsapp.introHero'),
+        footer: t('whatsapp.introFooter'),
+        float: t('whatsapp.introFloat'),
+        triage: t('whatsapp.introTriage'),
+        gracias: t('whatsapp.introGracias'),
+        recovery: t('whatsapp.introRecovery'),
+        fallback: t('whatsapp.introFallback')
+    };
+    
+    const SECTION_LABELS = {
+        hero: t('section.hero'),
+        problemas: t('section.problemas'),
+        consecuencias: t('section.consecuencias'),
+        soluciones: t('section.soluciones'),
+        beneficios: t('section.beneficios'),
+        casos: t('section.casos'),
+        formulario: t('section.formulario'),
+        'cta-final': t('section.ctaFinal'),
+        gracias: t('section.gracias')
+    };
+    
+    class WhatsAppComposer {
+        constructor(context) {
+            this.context = context;
+            this.referenceKey = 'fz_reference';
+            this.handleClick = (e) => this.onClick(e);
+        }
+        
+        init() {
+            // Delegated so links rendered later (triage result) are covered too
+            document.addEventListener('click', this.handleClick);
+        }
+        
+        onClick(e) {
+            const link = e.target.closest && e.target.closest('a[data-whatsapp]');
+            if (!link) return;
+            
+            // Rewriting href during the click still navigates to the new URL
+            link.href = this.buildLink(link.dataset.whatsapp, link);
+            analytics.track('whatsapp_click', {
+                event_category: 'engagement',
+                event_label: link.dataset.whatsapp,
+                section: this.getSection(link) || '(none)'
+            });
+        }
+        
+        // Short code Daniel can match against the form submission, e.g. FZ-7K3Q9
+        getReference() {
+            let reference = null;
+            try {
+                reference = sessionStorage.getItem(this.referenceKey);
+            } catch (e) {
+                // Storage unavailable
+            }
+            
+            if (!reference) {
+                const alphabet = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+                reference = 'FZ-';
+                for (let i = 0; i < 5; i++) {
+                    reference += alphabet[Math.floor(Math.random() * alphabet.length)];
+                }
+                try {
+                    sessionStorage.setItem(this.referenceKey, reference);
+                } catch (e) {
+                    // Storage unavailable
+                }
+            }
+            return reference;
+        }
+        
+        getSection(link) {
+            const section = link && link.closest('[data-section]');
+            if (section) return section.dataset.section;
+            
+            // Floating button: use the section in the middle of the viewport
+            const middle = window.innerHeight / 2;
+            const current = Array.from(document.querySelectorAll('[data-section]')).find(element => {
+                const rect = element.getBoundingClientRect();
+                return rect.top <= middle && rect.bottom >= middle;
+            });
+            return current ? current.dataset.section : null;
+        }
+        
+        compose(source, link) {
+            const context = this.context.get();
+            const lines = [WHATSAPP_INTROS[source] || WHATSAPP_INTROS.float, ''];
+            
+            if (context.summary) {
+                lines.push(context.summary);
+            } else {
+                if (context.caseType && CASE_TYPES[context.caseType]) {
+                    lines.push(t('summary.case', { value: CASE_TYPES[context.caseType] }));
+                }
+                if (context.actLabel) {
+                    lines.push(t('summary.act', { value: `${context.actLabel}${context.entity ? ` (${context.entity})` : ''}` }));
+                }
+                if (context.dueDate) {
+                    lines.push(t('whatsapp.due', { value: formatLongDate(context.dueDate) }));
+                }
+            }
+            
+            if (context.exposure) {
+                lines.push(t('whatsapp.exposure', { value: formatCOP(context.exposure.total) }));
+            }
+            
+            const section = this.getSection(link);
+            if (section && SECTION_LABELS[section]) {
+                lines.push(t('whatsapp.section', { value: SECTION_LABELS[section] }));
+            }
+            lines.push(`Ref: ${this.getReference()}`);
+            
+            return lines.filter((line, index) => line || index === 1).join('\n');
+        }
+        
+        buildLink(source, link) {
+            return buildWhatsAppURL(this.compose(source, link));
+        }
+        
+        // The fallback form's consultation, as typed, when no lead endpoint can take it
+        buildLeadLink(values) {
+            return buildWhatsAppURL([
+                WHATSAPP_INTROS.fallback,
+                '',
+                t('whatsapp.name', { value: values.name }),
+                t('whatsapp.email', { value: values.email }),
+                t('summary.case', { value: CASE_TYPES[values.caseType] }),
+                '',
+                values.description,
+                '',
+                `Ref: ${this.getReference()}`
+            ].join('\n'));
+        }
+        
+        cleanup() {
+            document.removeEventListener('click', this.handleClick);
+        }
+    }
+    
+    const whatsAppComposer = new WhatsAppComposer(caseContext);
+    
+    // ====================================
+    // HABEAS DATA CONSENT (LEY 1581 DE 2012)
+    // ====================================
+    const CONSENT_CATEGORIES = {
+        necessary: {
+            label: t('consent.necessary'),
+            description: t('consent.necessaryText'),
+            required: true
+        },
+        analytics: {
+            label: t('consent.analytics'),
+            description: t('consent.analyticsText')
+        },
+        marketing: {
+            label: t('consent.marketing'),
+            description: t('consent.marketingText')
+        }
+    };
+    
+    // Third-party tags behind consent; each stub queues calls until its script arrives
+    const CONSENT_TAGS = [
+        { id: 'gtag', category: 'analytics', configured: () => Boolean(CONFIG.GA_MEASUREMENT_ID), load: () => loadGoogleTag(CONFIG.GA_MEASUREMENT_ID) },
+        { id: 'meta', category: 'marketing', configured: () => Boolean(CONFIG.META_PIXEL_ID), load: () => loadMetaPixel(CONFIG.META_PIXEL_ID) }
+    ];
+    
+    function appendScript(src) {
+        const script = document.createElement('script');
+        script.src = src;
+        script.async = true;
+        document.head.appendChild(script);
+    }
+    
+    function loadGoogleTag(id) {
+        window.dataLayer = window.dataLayer || [];
+        window.gtag = function() {
+            window.dataLayer.push(arguments);
+        };
+        window.gtag('js', new Date());
+        window.gtag('config', id);
+        appendScript(`https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(id)}`);
+    }
+    
+    // Meta Pixel base code
+    function loadMetaPixel(id) {
+        if (window.fbq) return;
+        
+        const fbq = function() {
+            if (fbq.callMethod) {
+                fbq.callMethod.apply(fbq, arguments);
+            } else {
+                fbq.queue.push(arguments);
+            }
+        };
+        fbq.push = fbq;
+        fbq.loaded = true;
+        fbq.version = '2.0';
+        fbq.queue = [];
+        window.fbq = fbq;
+        if (!window._fbq) window._fbq = fbq;
+        
+        fbq('init', id);
+        fbq('track', 'PageView');
+        appendScript('https://connect.facebook.net/en_US/fbevents.js');
+    }
+    
+    class ConsentManager {
+        constructor() {
+            this.state = this.read();
+            this.listeners = new Set();
+            this.loadedTags = new Set();
+            this.banner = null;
+            this.modal = null;
+            this.trigger = null;
+            this.handleKeydown = (e) => this.onKeydown(e);
+            this.handleClick = (e) => {
+                const opener = e.target.closest && e.target.closest('[data-consent-open]');
+                if (!opener) return;
+                e.preventDefault();
+                this.openPreferences(opener);
+            };
+        }
+        
+        read() {
+            try {
+                const stored = JSON.parse(localStorage.getItem(CONFIG.CONSENT_STORAGE_KEY));
+                // A new policy version invalidates earlier answers
+                if (stored && stored.version === CONFIG.CONSENT_VERSION && stored.categories) {
+                    return stored;
+                }
+            } catch (e) {
+                // Storage unavailable: ask again on every visit
+            }
+            return null;
+        }
+        
+        get() {
+            return this.state;
+        }
+        
+        hasDecided() {
+            return Boolean(this.state);
+        }
+        
+        has(category) {
+            if (category === 'necessary') return true;
+            return Boolean(this.state && this.state.categories[category]);
+        }
+        
+        isDenied(category) {
+            return this.hasDecided() && !this.has(category);
+        }
+        
+        save(categories) {
+            this.state = {
+                version: CONFIG.CONSENT_VERSION,
+                timestamp: new Date().toISOString(),
+                categories: {
+                    necessary: true,
+                    analytics: Boolean(categories.analytics),
+                    marketing: Boolean(categories.marketing)
+                }
+            };
+            
+            try {
+                localStorage.setItem(CONFIG.CONSENT_STORAGE_KEY, JSON.stringify(this.state));
+            } catch (e) {
+                // Consent still applies for this page view
+            }
+            
+            this.removeBanner();
+            this.closePreferences();
+            
+            // Analytics sinks check consent on every event, so a revocation
+            // applies from the next event without reloading the page
+            this.loadTags();
+            this.listeners.forEach(callback => callback(this.state));
+        }
+        
+        subscribe(callback) {
+            this.listeners.add(callback);
+            return () => this.listeners.delete(callback);
+        }
+        
+        init() {
+            document.addEventListener('click', this.handleClick);
+            this.loadTags();
+            
+            if (!this.hasDecided()) {
+                this.showBanner();
+            }
+        }
+        
+        loadTags() {
+            CONSENT_TAGS.forEach(tag => {
+                if (this.loadedTags.has(tag.id) || !tag.configured() || !this.has(tag.category)) return;
+                this.loadedTags.add(tag.id);
+                tag.load();
+            });
+        }
+        
+        showBanner() {
+            if (this.banner) return;
+            
+            this.banner = document.createElement('div');
+            this.banner.className = 'consent-banner';
+            this.banner.setAttribute('role', 'region');
+            this.banner.setAttribute('aria-label', t('consent.bannerLabel'));
+            this.banner.innerHTML = `
+                <p class="consent-text">${t('consent.bannerText')}</p>
+                <div class="consent-actions">
+                    <button type="button" class="consent-secondary" data-consent-action="configure">${t('consent.configure')}</button>
+                    <button type="button" class="consent-secondary" data-consent-action="necessary">${t('consent.onlyNecessary')}</button>
+                    <button type="button" class="consent-accept" data-consent-action="all">${t('consent.acceptAll')}</button>
+                </div>
+            `;
+            
+            this.banner.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-consent-action]');
+                if (!button) return;
+                
+                const action = button.dataset.consentAction;
+                if (action === 'all') {
+                    this.save({ analytics: true, marketing: true });
+                } else if (action === 'necessary') {
+                    this.save({ analytics: false, marketing: false });
+                } else {
+                    this.openPreferences(button);
+                }
+            });
+            
+            document.body.appendChild(this.banner);
+        }
+        
+        removeBanner() {
+            if (!this.banner) return;
+            this.banner.remove();
+            this.banner = null;
+        }
+        
+        openPreferences(trigger) {
+            this.closePreferences();
+            this.trigger = trigger || null;
+            
+            const options = Object.entries(CONSENT_CATEGORIES).map(([key, category]) => `
+                <label class="consent-option">
+                    <input type="checkbox" name="${key}" ${category.required || this.has(key) ? 'checked' : ''} ${category.required ? 'disabled' : ''}>
+                    <span>
+                        <strong>${category.label}</strong>
+                        <small>${category.description}</small>
+                    </span>
+                </label>
+            `).join('');
+            
+            const decided = this.hasDecided()
+                ? `<p class="consent-meta">${t('consent.updated', { date: formatDate(this.state.timestamp.slice(0, 10)) })}</p>`
+                : '';
+            
+            this.modal = document.createElement('div');
+            this.modal.className = 'triage-modal';
+            this.modal.innerHTML = `
+                <div class="triage-backdrop" data-close></div>
+                <div class="triage-dialog" role="dialog" aria-modal="true" aria-labelledby="consent-title">
+                    <button type="button" class="triage-close" data-close aria-label="${t('common.close')}">&times;</button>
+                    <p class="triage-eyebrow">${t('consent.law')}</p>
+                    <h3 id="consent-title">${t('consent.title')}</h3>
+                    <form class="consent-form">
+                        <div class="consent-options">${options}</div>
+                        ${decided}
+                        <div class="consent-actions">
+                            <button type="button" class="consent-secondary" data-consent-action="necessary">${t('consent.onlyNecessary')}</button>
+                            <button type="submit" class="consent-accept">${t('consent.save')}</button>
+                        </div>
+                    </form>
+                </div>
+            `;
+            
+            const form = this.modal.querySelector('.consent-form');
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.save({
+                    analytics: form.elements.analytics.checked,
+                    marketing: form.elements.marketing.checked
+                });
+            });
+            
+            this.modal.addEventListener('click', (e) => {
+                if (e.target.closest('[data-close]')) {
+                    this.closePreferences();
+                } else if (e.target.closest('[data-consent-action="necessary"]')) {
+                    this.save({ analytics: false, marketing: false });
+                }
+            });
+            
+            document.body.appendChild(this.modal);
+            document.body.classList.add('modal-open');
+            document.addEventListener('keydown', this.handleKeydown);
+            
+            const firstOption = this.modal.querySelector('input:not([disabled])');
+            if (firstOption) firstOption.focus();
+        }
+        
+        closePreferences() {
+            if (!this.modal) return;
+            document.removeEventListener('keydown', this.handleKeydown);
+            this.modal.remove();
+            this.modal = null;
+            document.body.classList.remove('modal-open');
+            if (this.trigger && this.trigger.isConnected) this.trigger.focus();
+            this.trigger = null;
+        }
+        
+        onKeydown(e) {
+            if (e.key === 'Escape') {
+                this.closePreferences();
+                return;
+            }
+            trapFocus(e, this.modal);
+        }
+        
+        cleanup() {
+            document.removeEventListener('click', this.handleClick);
+            this.closePreferences();
+        }
+    }
+    
+    const consentManager = new ConsentManager();
+    
+    // ====================================
+    // ANALYTICS EVENT LAYER
+    // ====================================
+    // Every event shares one schema and is buffered per sink until that
+    // sink's transport (gtag, fbq, beacon endpoint) is available and its
+    // consent category has been granted. Nothing leaves the page before that.
+    const META_PIXEL_EVENTS = {
+        conversion: 'Lead',
+        form_submit: 'SubmitApplication',
+        whatsapp_click: 'Contact'
+    };
+    
+    const gtagSink = {
+        name: 'gtag',
+        category: 'analytics',
+        isReady: () => typeof window.gtag === 'function',
+        send(event) {
+            window.gtag('event', event.event, { ...event.params, ...event.context });
+        }
+    };
+    
+    const metaPixelSink = {
+        name: 'meta',
+        category: 'marketing',
+        isReady: () => typeof window.fbq === 'function',
+        send(event) {
+            const standard = META_PIXEL_EVENTS[event.event];
+            const data = { ...event.params, ...event.context };
+            if (standard) {
+                window.fbq('track', standard, data);
+            } else {
+                window.fbq('trackCustom', event.event, data);
+            }
+        }
+    };
+    
+    class BeaconSink {
+        constructor(endpoint) {
+            this.name = 'beacon';
+            this.category = 'analytics';
+            this.endpoint = endpoint;
+            this.batch = [];
+            this.timer = null;
+            this.flushOnHide = () => {
+                if (document.visibilityState === 'hidden') this.flush();
+            };
+            document.addEventListener('visibilitychange', this.flushOnHide);
+            window.addEventListener('pagehide', () => this.flush());
+        }
+        
+        isReady() {
+            return Boolean(this.endpoint);
+        }
+        
+        send(event) {
+            this.batch.push(event);
+            if (this.batch.length >= 10) {
+                this.flush();
+            } else if (!this.timer) {
+                this.timer = setTimeout(() => this.flush(), 5000);
+            }
+        }
+        
+        flush() {
+            clearTimeout(this.timer);
+            this.timer = null;
+            if (!this.batch.length) return;
+            
+            const body = JSON.stringify({ events: this.batch });
+            this.batch = [];
+            sendBeaconJSON(this.endpoint, body);
+        }
+    }
+    
+    class Analytics {
+        constructor() {
+            this.sinks = [];
+            this.readyTimer = null;
+            this.readyDelay = 500;
+        }
+        
+        addSink(sink) {
+            this.sinks.push({ sink: sink, pending: [] });
+        }
+        
+        track(name, params = {}) {
+            const event = {
+                event: name,
+                params: params,
+                context: {
+                    page: window.location.pathname,
+                    language: i18n.lang,
+                    reference: whatsAppComposer.getReference(),
+                    ...attributionTracker.getSource()
+                },
+                timestamp: new Date().toISOString()
+            };
+            
+            this.sinks.forEach(entry => {
+                if (consentManager.isDenied(entry.sink.category)) return;
+                entry.pending.push(event);
+                if (entry.pending.length > CONFIG.ANALYTICS_BUFFER_LIMIT) {
+                    entry.pending.shift();
+                }
+            });
+            
+            this.flush();
+            return event;
+        }
+        
+        flush() {
+            let waiting = false;
+            
+            this.sinks.forEach(entry => {
+                if (!entry.pending.length) return;
+                
+                // Undecided consent keeps the buffer; a refusal discards it
+                if (!consentManager.has(entry.sink.category)) {
+                    if (consentManager.isDenied(entry.sink.category)) entry.pending = [];
+                    return;
+                }
+                
+                if (!entry.sink.isReady()) {
+                    waiting = true;
+                    return;
+                }
+                
+                const events = entry.pending.splice(0);
+                events.forEach(event => {
+                    try {
+                        entry.sink.send(event);
+                    } catch (e) {
+                        console.warn(`Analytics: ${entry.sink.name} sink failed`, e);
+                    }
+                });
+            });
+            
+            if (waiting) {
+                this.waitForSinks();
+            } else {
+                this.readyDelay = 500;
+            }
+        }
+        
+        // Poll until late-loading transports appear, backing off up to
+        // ANALYTICS_READY_MAX_DELAY; the buffer is kept however long it takes
+        waitForSinks() {
+            if (this.readyTimer) return;
+            
+            this.readyTimer = setTimeout(() => {
+                this.readyTimer = null;
+                this.flush();
+            }, this.readyDelay);
+            this.readyDelay = Math.min(this.readyDelay * 2, CONFIG.ANALYTICS_READY_MAX_DELAY);
+        }
+        
+        // Transports gated behind consent only start loading once it's granted
+        onConsentChange() {
+            clearTimeout(this.readyTimer);
+            this.readyTimer = null;
+            this.readyDelay = 500;
+            this.flush();
+        }
+    }
+    
+    // A sink whose tag is never loaded would keep flush() polling for good
+    const analytics = new Analytics();
+    if (CONFIG.GA_MEASUREMENT_ID) analytics.addSink(gtagSink);
+    if (CONFIG.META_PIXEL_ID) analytics.addSink(metaPixelSink);
+    if (CONFIG.ANALYTICS_BEACON_ENDPOINT) {
+        analytics.addSink(new BeaconSink(CONFIG.ANALYTICS_BEACON_ENDPOINT));
+    }
+    consentManager.subscribe(() => analytics.onConsentChange());
+    
+    // ====================================
+    // SANCTION & INTEREST EXPOSURE ESTIMATOR
+    // ====================================
+    class ExposureEstimator {
+        constructor(context) {
+            this.context = context;
+            this.container = null;
+            this.params = null;
+            this.lastResult = null;
+        }
+        
+        async init() {
+            this.container = document.getElementById('exposure-estimator');
+            if (!this.container) return;
+            
+            try {
+                const response = await fetch(CONFIG.TAX_PARAMETERS_URL, { cache: 'no-cache' });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                this.params = await response.json();
+                this.render();
+            } catch (e) {
+                console.warn('Exposure estimator: parameters unavailable', e);
+                this.container.innerHTML = '';
+            }
+        }
+        
+        getCurrentUVT() {
+            const years = Object.keys(this.params.uvt).sort();
+            const currentYear = String(new Date().getFullYear());
+            const year = this.params.uvt[currentYear] ? currentYear : years[years.length - 1];
+            return { year: year, value: this.params.uvt[year] };
+        }
+        
+        render() {
+            const uvt = this.getCurrentUVT();
+            const sanctionOptions = Object.entries(this.params.sanctions)
+                .map(([value, rule]) => `<option value="${value}">${i18n.localize(rule.label)}</option>`)
+                .join('');
+            
+            this.container.innerHTML = `
+                <div class="exposure-header">
+                    <h3 id="exposure-estimator-title">${t('exposure.title')}</h3>
+                    <p>${t('exposure.intro')}</p>
+                </div>
+                <form class="exposure-form" novalidate>
+                    <div class="exposure-field">
+                        <label for="fz-exposure-type">${t('exposure.type')}</label>
+                        <select id="fz-exposure-type" name="sanctionType" required>${sanctionOptions}</select>
+                    </div>
+                    <div class="exposure-field">
+                        <label for="fz-exposure-amount" data-base-label>${i18n.localize(this.params.sanctions[Object.keys(this.params.sanctions)[0]].baseLabel)}</label>
+                        <input type="text" id="fz-exposure-amount" name="amount" inputmode="numeric" placeholder="$ 0" autocomplete="off" required>
+                    </div>
+                    <div class="exposure-field">
+                        <label for="fz-exposure-months">${t('exposure.months')}</label>
+                        <input type="number" id="fz-exposure-months" name="monthsLate" min="0" max="240" step="1" value="0" inputmode="numeric">
+                    </div>
+                    <div class="exposure-field">
+                        <label for="fz-exposure-uvt">${t('exposure.uvt', { year: uvt.year })}</label>
+                        <input type="text" id="fz-exposure-uvt" name="uvt" inputmode="numeric" value="${formatCOP(uvt.value)}">
+                    </div>
+                    <button type="submit" class="exposure-submit">${t('exposure.submit')}</button>
+                    <p class="exposure-error" role="alert"></p>
+                </form>
+                <div class="exposure-result" aria-live="polite" hidden></div>
+                <p class="exposure-version">${t('exposure.version', { version: this.params.version, date: formatDate(this.params.updatedAt) })}</p>
+            `;
+            
+            const form = this.container.querySelector('.exposure-form');
+            
+            form.elements.sanctionType.addEventListener('change', (e) => {
+                form.querySelector('[data-base-label]').textContent = i18n.localize(this.params.sanctions[e.target.value].baseLabel);
+            });
+            
+            // Thousands separators while typing
+            [form.elements.amount, form.elements.uvt].forEach(input => {
+                input.addEventListener('input', () => {
+                    const value = parseCurrencyInput(input.value);
+                    input.value = value ? formatCOP(value) : '';
+                });
+            });
+            
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleSubmit(form);
+            });
+        }
+        
+        handleSubmit(form) {
+            const error = form.querySelector('.exposure-error');
+            const inputs = {
+                sanctionType: form.elements.sanctionType.value,
+                amount: parseCurrencyInput(form.elements.amount.value),
+                monthsLate: Math.max(0, parseInt(form.elements.monthsLate.value, 10) || 0),
+                uvt: parseCurrencyInput(form.elements.uvt.value)
+            };
+            
+            if (!(inputs.amount > 0)) {
+                error.textContent = t('exposure.errorAmount');
+                return;
+            }
+            if (!(inputs.uvt > 0)) {
+                error.textContent = t('exposure.errorUVT');
+                return;
+            }
+            
+            error.textContent = '';
+            const result = this.calculate(inputs, this.params);
+            this.lastResult = result;
+            this.showResult(result);
+            
+            this.context.set({
+                exposure: {
+                    sanctionType: inputs.sanctionType,
+                    amount: inputs.amount,
+                    total: result.total
+                }
+            });
+            analytics.track('exposure_estimated', {
+                event_category: 'tools',
+                sanction_type: inputs.sanctionType
+            });
+        }
+        
+        sanctionFor(rule, amount, monthsLate) {
+            if (rule.kind === 'monthly') {
+                // "Por cada mes o fracción de mes": at least one month
+                const months = Math.max(1, monthsLate);
+                return amount * Math.min(rule.monthlyRate * months, rule.maxRate);
+            }
+            return amount * rule.rate;
+        }
+        
+        applyLimits(value, rule, uvt, params) {
+            let sanction = value;
+            let capped = false;
+            let minimumApplied = false;
+            
+            if (rule.maxUVT && sanction > rule.maxUVT * uvt) {
+                sanction = rule.maxUVT * uvt;
+                capped = true;
+            }
+            if (rule.applyMinimum && sanction < params.minSanctionUVT * uvt) {
+                sanction = params.minSanctionUVT * uvt;
+                minimumApplied = true;
+            }
+            
+            return { sanction: sanction, capped: capped, minimumApplied: minimumApplied };
+        }
+        
+        calculate(inputs, params) {
+            const rule = params.sanctions[inputs.sanctionType];
+            const raw = this.sanctionFor(rule, inputs.amount, inputs.monthsLate);
+            const limited = this.applyLimits(raw, rule, inputs.uvt, params);
+            
+            // Daily-compounded moratorium interest on the disputed amount
+            const days = inputs.monthsLate * 30;
+            const interest = rule.interest && days > 0
+                ? inputs.amount * (Math.pow(1 + params.interest.annualEffectiveRate, days / 365) - 1)
+                : 0;
+            
+            // Information penalties do not add the reported amount to what is owed
+            const owed = rule.includeBaseInTotal === false ? 0 : inputs.amount;
+            
+            const scenarios = (rule.reductions || []).map(reduction => {
+                const reduced = this.applyLimits(limited.sanction * reduction.factor, rule, inputs.uvt, params).sanction;
+                return {
+                    label: i18n.localize(reduction.label),
+                    reference: reduction.reference,
+                    sanction: reduced,
+                    total: owed + reduced + interest
+                };
+            });
+            
+            if (rule.escalation) {
+                const escalated = this.applyLimits(
+                    this.sanctionFor({ ...rule, ...rule.escalation }, inputs.amount, inputs.monthsLate),
+                    rule, inputs.uvt, params
+                ).sanction;
+                scenarios.push({
+                    label: i18n.localize(rule.escalation.label),
+                    reference: rule.reference,
+                    sanction: escalated,
+                    total: owed + escalated + interest
+                });
+            }
+            
+            return {
+                inputs: inputs,
+                rule: rule,
+                sanction: limited.sanction,
+                capped: limited.capped,
+                minimumApplied: limited.minimumApplied,
+                interest: interest,
+                total: owed + limited.sanction + interest,
+                scenarios: scenarios,
+                version: params.version
+            };
+        }
+        
+        describeSanction(result) {
+            const rule = result.rule;
+            if (result.minimumApplied) {
+                return t('exposure.minimum', { uvt: this.params.minSanctionUVT });
+            }
+            if (result.capped) {
+                return t('exposure.capped', { uvt: formatNumber(rule.maxUVT), reference: rule.reference });
+            }
+            if (rule.kind === 'monthly') {
+                const months = Math.max(1, result.inputs.monthsLate);
+                const rate = Math.min(rule.monthlyRate * months, rule.maxRate);
+                return t('exposure.monthly', {
+                    rate: formatPercent(rule.monthlyRate),
+                    months: t('unit.months', { count: months }),
+                    total: formatPercent(rate),
+                    reference: rule.reference
+                });
+            }
+            return t('exposure.proportional', { rate: formatPercent(rule.rate), reference: rule.reference });
+        }
+        
+        getRows(result) {
+            const rows = [
+                { label: i18n.localize(result.rule.baseLabel), value: result.inputs.amount },
+                { label: this.describeSanction(result), value: result.sanction }
+            ];
+            
+            if (result.rule.interest) {
+                rows.push({
+                    label: t('exposure.interest', {
+                        months: t('unit.months', { count: result.inputs.monthsLate }),
+                        rate: formatPercent(this.params.interest.annualEffectiveRate)
+                    }),
+                    value: result.interest
+                });
+            }
+            
+            return rows;
+        }
+        
+        showResult(result) {
+            const output = this.container.querySelector('.exposure-result');
+            const rows = this.getRows(result);
+            
+            output.innerHTML = `
+                <table class="exposure-table">
+                    <caption>${i18n.localize(result.rule.label)}</caption>
+                    <tbody>
+                        ${rows.map(row => `<tr><th scope="row">${row.label}</th><td>${formatCOP(row.value)}</td></tr>`).join('')}
+                    </tbody>
+                    <tfoot>
+                        <tr><th scope="row">${t('exposure.total')}</th><td>${formatCOP(result.total)}</td></tr>
+                    </tfoot>
+                </table>
+                ${result.scenarios.length ? `
+                    <div class="exposure-scenarios">
+                        <h4>${t('exposure.scenarios')}</h4>
+                        <ul>
+                            ${result.scenarios.map(scenario => `
+                                <li>
+                                    <span>${scenario.label} (${scenario.reference})</span>
+                                    <strong>${t('exposure.scenario', { sanction: formatCOP(scenario.sanction), total: formatCOP(scenario.total) })}</strong>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                ` : ''}
+                <div class="exposure-actions">
+                    <button type="button" class="exposure-copy">${t('exposure.copy')}</button>
+                </div>
+                <p class="exposure-disclaimer">${t('exposure.disclaimer', { version: result.version })}</p>
+            `;
+            output.hidden = false;
+            
+            output.querySelector('.exposure-copy').addEventListener('click', (e) => {
+                if (!navigator.clipboard) return;
+                navigator.clipboard.writeText(this.toText(result)).then(() => {
+                    e.target.textContent = t('exposure.copied');
+                    setTimeout(() => { e.target.textContent = t('exposure.copy'); }, 2000);
+                });
+            });
+        }
+        
+        toText(result) {
+            const lines = [t('exposure.textTitle', { label: i18n.localize(result.rule.label) }), ''];
+            this.getRows(result).forEach(row => lines.push(`${row.label}: ${formatCOP(row.value)}`));
+            lines.push(t('exposure.textTotal', { value: formatCOP(result.total) }));
+            
+            if (result.scenarios.length) {
+                lines.push('', `${t('exposure.scenarios')}:`);
+                result.scenarios.forEach(scenario => {
+                    lines.push(t('exposure.textScenario', { label: scenario.label, sanction: formatCOP(scenario.sanction), total: formatCOP(scenario.total) }));
+                });
+            }
+            
+            lines.push('', t('exposure.textFooter', { version: result.version }));
+            return lines.join('\n');
+        }
+    }
+    
+    // ====================================
+    // CONTENT RENDERER
+    // ====================================
+    // Copy lives in data/contenido.json. index.html keeps the same blocks
+    // server-rendered as the no-JS fallback; a block is only replaced when
+    // its entries render cleanly.
+    const CONTENT_ICONS = {
+        document: `
+            <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
+            <polyline points="14 2 14 8 20 8"/>
+            <line x1="16" y1="13" x2="8" y2="13"/>
+            <line x1="16" y1="17" x2="8" y2="17"/>
+            <polyline points="10 9 9 9 8 9"/>`,
+        clock: `
+            <circle cx="12" cy="12" r="10"/>
+            <path d="M12 6v6l4 2"/>`,
+        structure: `
+            <rect x="3" y="3" width="18" height="18" rx="2" ry="2"/>
+            <line x1="9" y1="9" x2="15" y2="9"/>
+            <line x1="9" y1="15" x2="15" y2="15"/>`
+    };
+    
+    const URGENCY_CLASSES = ['critical', 'high', 'medium'];
+    
+    class ContentRenderer {
+        constructor() {
+            this.content = null;
+            this.blocks = [
+                { key: 'metrics', selector: '.impact-metrics', render: (item) => this.renderMetric(item) },
+                { key: 'problemCards', selector: '.problem-cards', render: (item) => this.renderProblemCard(item) },
+                { key: 'ticker', selector: '.ticker-content', render: (item) => this.renderTickerItem(item) },
+                { key: 'stories', selector: '.testimonials-grid-enhanced', render: (item) => this.renderStory(item) }
+            ];
+        }
+        
+        // data/contenido.json is the Spanish copy; other languages use contenido.<lang>.json
+        getURL() {
+            return i18n.lang === 'es' ? CONFIG.CONTENT_URL : CONFIG.CONTENT_URL.replace(/\.json$/, `.${i18n.lang}.json`);
+        }
+        
+        async load() {
+            if (!this.blocks.some(block => document.querySelector(block.selector))) return;
+            
+            const controller = 'AbortController' in window ? new AbortController() : null;
+            const timeout = setTimeout(() => controller && controller.abort(), CONFIG.CONTENT_REQUEST_TIMEOUT);
+            
+            try {
+                const response = await fetch(this.getURL(), {
+                    cache: 'no-cache',
+                    signal: controller ? controller.signal : undefined
+                });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                this.content = await response.json();
+                this.render();
+            } catch (e) {
+                console.warn('Content renderer: keeping server-rendered content', e);
+            } finally {
+                clearTimeout(timeout);
+            }
+        }
+        
+        render() {
+            this.blocks.forEach(block => {
+                const items = this.content[block.key];
+                const container = document.querySelector(block.selector);
+                if (!container || !Array.isArray(items) || !items.length) return;
+                
+                try {
+                    container.innerHTML = items.map(block.render).join('');
+                } catch (e) {
+                    console.warn(`Content renderer: invalid "${block.key}" entry`, e);
+                }
+            });
+        }
+        
+        renderMetric(metric) {
+            // The live metric keeps its id so LiveMetrics can update it
+            const updatedAt = metric.updatedAt ? ` data-updated-at="${escapeHTML(metric.updatedAt)}"` : '';
+            const counter = Number.isFinite(metric.countTo)
+                ? ` data-count-to="${metric.countTo}" data-count-format="${escapeHTML(metric.format || 'number')}"`
+                : '';
+            const value = metric.live
+                ? `<span class="metric-live" id="activeClients"${updatedAt}>${escapeHTML(metric.value)}</span>`
+                : `<span class="metric-number"${counter}>${escapeHTML(metric.value)}</span>`;
+            
+            return `
+                <div class="metric-card">
+                    ${value}
+                    <span class="metric-label">${escapeHTML(metric.label)}</span>
+                </div>
+            `;
+        }
+        
+        renderProblemCard(card) {
+            if (!CASE_TYPES[card.caseType]) {
+                throw new Error(`Unknown case type "${card.caseType}"`);
+            }
+            const urgency = URGENCY_CLASSES.includes(card.urgency) ? card.urgency : 'medium';
+            const icon = CONTENT_ICONS[card.icon] || CONTENT_ICONS.document;
+            const stat = card.stat ? `
+                <div class="card-stat">
+                    <span class="stat-number">${escapeHTML(card.stat.value)}</span>
+                    <span class="stat-text">${escapeHTML(card.stat.text)}</span>
+                </div>` : '';
+            
+            return `
+                <div class="problem-card" data-urgency="${urgency}" data-case-type="${card.caseType}">
+                    <div class="card-header">
+                        <span class="urgency-badge ${urgency}" data-experiment="urgency-${urgency}">${escapeHTML(card.badge)}</span>
+                        <span class="time-left">${escapeHTML(card.timeLeft)}</span>
+                    </div>
+                    <h3>
+                        <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${icon}</svg>
+                        ${escapeHTML(card.title)}
+                    </h3>
+                    <p>${escapeHTML(card.description)}</p>
+                    <div class="consequence">
+                        <strong>${escapeHTML(card.consequenceLabel)}</strong> ${escapeHTML(card.consequence)}
+                    </div>
+                    ${stat}
+                </div>
+            `;
+        }
+        
+        renderTickerItem(text) {
+            return `
+                <div class="ticker-item" role="listitem">
+                    <span class="company-case">${escapeHTML(text)}</span>
+                </div>
+            `;
+        }
+        
+        renderStory(story) {
+            let body;
+            if (Array.isArray(story.timeline)) {
+                body = `
+                    <div class="story-timeline">
+                        ${story.timeline.map(point => `
+                            <div class="timeline-point${point.success ? ' success' : ''}">
+                                <span class="point-time">${escapeHTML(point.time)}</span>
+                                <p>${escapeHTML(point.text)}</p>
+                            </div>
+                        `).join('')}
+                    </div>`;
+            } else {
+                body = [
+                    ['story-problem', t('story.problem'), story.problem],
+                    ['story-solution', t('story.solution'), story.solution],
+                    ['story-result', t('story.result'), story.result]
+                ].filter(([, , text]) => text).map(([className, label, text]) => `
+                    <div class="${className}">
+                        <strong>${label}</strong> ${escapeHTML(text)}
+                    </div>`).join('');
+            }
+            
+            return `
+                <div class="story-card">
+                    <div class="story-header">
+                        <span class="story-amount saved">${escapeHTML(story.amount)}</span>
+                        <span class="story-date">${escapeHTML(story.date)}</span>
+                    </div>
+                    <div class="story-content">
+                        <h3>${escapeHTML(story.title)}</h3>
+                        ${body}
+                        <div class="testimonial-quote">
+                            "${escapeHTML(story.quote)}"
+                            <div class="testimonial-author">- ${escapeHTML(story.author)}</div>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+    }
+    
+    // ====================================
+    // ANIMATED COUNTERS
+    // ====================================
+    // <span data-count-to="15200000000" data-count-format="currency-compact">$15.2B</span>
+    // Formats: number (default), percent (98.4 means 98,4%) and
+    // currency-compact (COP with M / B = millones / mil millones).
+    const COMPACT_UNITS = [
+        { value: 1e9, short: 'B', long: t('number.billions') },
+        { value: 1e6, short: 'M', long: t('number.millions') },
+        { value: 1e3, short: 'K', long: t('number.thousands') }
+    ];
+    
+    class CounterAnimator {
+        constructor() {
+            this.frames = new Map();
+            this.duration = 1600;
+        }
+        
+        getOptions(element) {
+            const format = element.dataset.countFormat || 'number';
+            const decimals = element.dataset.countDecimals !== undefined
+                ? Number(element.dataset.countDecimals)
+                : (format === 'number' ? 0 : 1);
+            
+            return {
+                target: Number(element.dataset.countTo),
+                format: format,
+                decimals: decimals
+            };
+        }
+        
+        format(value, options, display = 'short') {
+            if (options.format === 'percent') {
+                return new Intl.NumberFormat(i18n.locale, {
+                    style: 'percent',
+                    minimumFractionDigits: options.decimals,
+                    maximumFractionDigits: options.decimals
+                }).format(value / 100);
+            }
+            
+            if (options.format === 'currency-compact') {
+                return formatCompactCOP(value, options.decimals, display);
+            }
+            
+            return new Intl.NumberFormat(i18n.locale, {
+                minimumFractionDigits: options.decimals,
+                maximumFractionDigits: options.decimals
+            }).format(value);
+        }
+        
+        // Reset to zero ahead of the count-in; the spoken label is the final value
+        prepare(element) {
+            const options = this.getOptions(element);
+            if (!Number.isFinite(options.target)) return false;
+            
+            element.setAttribute('aria-label', this.format(options.target, options, 'long'));
+            element.textContent = this.format(shouldReduceMotion() ? options.target : 0, options);
+            return true;
+        }
+        
+        start(element) {
+            const options = this.getOptions(element);
+            if (!Number.isFinite(options.target)) return;
+            this.animate(element, 0, options.target, options);
+        }
+        
+        animate(element, from, to, options = { format: 'number', decimals: 0 }, duration = this.duration) {
+            cancelAnimationFrame(this.frames.get(element));
+            
+            if (shouldReduceMotion() || from === to) {
+                element.textContent = this.format(to, options);
+                return;
+            }
+            
+            const start = performance.now();
+            const step = (now) => {
+                const progress = Math.min((now - start) / duration, 1);
+                const eased = 1 - Math.pow(1 - progress, 3);
+                
+                // Land exactly on the target instead of a rounded intermediate
+                element.textContent = this.format(progress < 1 ? from + (to - from) * eased : to, options);
+                
+                if (progress < 1) {
+                    this.frames.set(element, requestAnimationFrame(step));
+                } else {
+                    this.frames.delete(element);
+                }
+            };
+            this.frames.set(element, requestAnimationFrame(step));
+        }
+        
+        cleanup() {
+            this.frames.forEach(frame => cancelAnimationFrame(frame));
+            this.frames.clear();
+        }
+    }
+    
+    const counterAnimator = new CounterAnimator();
+    
+    // ====================================
+    // LIVE METRICS
+    // ====================================
+    // "Consultas Activas" only ever shows a reported number. Without a
+    // source it keeps the last known value and says when it was taken.
+    // Adapters expose fetch() resolving to { value, updatedAt }, or null
+    // when nothing changed since the previous call.
+    class JSONMetricsAdapter {
+        constructor(url) {
+            this.url = url;
+            this.etag = null;
+        }
+        
+        async fetch() {
+            const headers = { 'Accept': 'application/json' };
+            if (this.etag) headers['If-None-Match'] = this.etag;
+            
+            const response = await fetch(this.url, { headers: headers });
+            if (response.status === 304) return null;
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            
+            this.etag = response.headers.get('ETag');
+            const data = await response.json();
+            const value = Number(data.activeConsultations);
+            if (!Number.isFinite(value)) throw new Error('Missing activeConsultations');
+            
+            return {
+                value: value,
+                updatedAt: data.updatedAt || new Date().toISOString()
+            };
+        }
+    }
+    
+    class LiveMetrics {
+        constructor(adapter) {
+            this.adapter = adapter || null;
+            this.element = null;
+            this.stamp = null;
+            this.current = null;
+            this.timer = null;
+            this.failures = 0;
+            this.lastPoll = 0;
+            this.handleVisibility = () => this.onVisibilityChange();
+        }
+        
+        init() {
+            this.element = document.getElementById('activeClients');
+            if (!this.element) return;
+            
+            const known = this.getLastKnown();
+            if (known) this.show(known, false);
+            document.addEventListener('visibilitychange', this.handleVisibility);
+            if (this.adapter) this.poll();
+        }
+        
+        setAdapter(adapter) {
+            this.adapter = adapter;
+            this.failures = 0;
+            if (this.element) this.poll();
+        }
+        
+        // Newest of the cached reading and the published copy; null when
+        // neither holds a number (the static copy is then left as is)
+        getLastKnown() {
+            const isReading = (reading) => Boolean(reading) &&
+                typeof reading.value === 'number' && Number.isFinite(reading.value) &&
+                (!reading.updatedAt || !isNaN(new Date(reading.updatedAt)));
+            
+            const text = this.element.textContent.trim();
+            const published = {
+                value: text ? parseLocaleInteger(text) : NaN,
+                updatedAt: this.element.dataset.updatedAt || null
+            };
+            
+            try {
+                const cached = JSON.parse(localStorage.getItem(CONFIG.LIVE_METRICS_CACHE_KEY));
+                if (isReading(cached) && cached.updatedAt &&
+                    (!isReading(published) || !published.updatedAt || new Date(cached.updatedAt) > new Date(published.updatedAt))) {
+                    return cached;
+                }
+            } catch (e) {
+                // Fall back to the published value
+            }
+            return isReading(published) ? published : null;
+        }
+        
+        async poll() {
+            clearTimeout(this.timer);
+            // Hidden tabs don't poll; visibilitychange resumes
+            if (!this.adapter || document.hidden) return;
+            
+            try {
+                const reading = await this.adapter.fetch();
+                this.failures = 0;
+                if (reading) {
+                    this.show(reading, true);
+                    try {
+                        localStorage.setItem(CONFIG.LIVE_METRICS_CACHE_KEY, JSON.stringify(reading));
+                    } catch (e) {
+                        // Cache is optional
+                    }
+                }
+            } catch (e) {
+                this.failures++;
+                console.warn('Live metrics: source unavailable', e);
+            }
+            
+            this.lastPoll = Date.now();
+            this.schedule();
+        }
+        
+        schedule() {
+            clearTimeout(this.timer);
+            const delay = Math.min(
+                CONFIG.LIVE_METRICS_INTERVAL * Math.pow(2, this.failures),
+                CONFIG.LIVE_METRICS_MAX_INTERVAL
+            );
+            this.timer = setTimeout(() => this.poll(), delay);
+        }
+        
+        onVisibilityChange() {
+            if (document.hidden) {
+                clearTimeout(this.timer);
+                return;
+            }
+            if (!this.adapter) return;
+            
+            if (Date.now() - this.lastPoll >= CONFIG.LIVE_METRICS_INTERVAL) {
+                this.poll();
+            } else {
+                this.schedule();
+            }
+        }
+        
+        show(reading, animate) {
+            if (!Number.isFinite(reading.value)) return;
+            
+            const from = this.current;
+            this.current = reading.value;
+            
+            if (animate && from !== null) {
+                counterAnimator.animate(this.element, from, reading.value, undefined, 800);
+            } else {
+                this.element.textContent = formatNumber(reading.value);
+            }
+            
+            this.renderStamp(reading.updatedAt);
+        }
+        
+        renderStamp(updatedAt) {
+            if (!updatedAt) return;
+            const date = new Date(updatedAt);
+            if (isNaN(date)) return;
+            
+            if (!this.stamp) {
+                this.stamp = document.createElement('time');
+                this.stamp.className = 'metric-updated';
+                this.element.parentElement.appendChild(this.stamp);
+            }
+            
+            const label = new Intl.DateTimeFormat(i18n.locale, {
+                day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit', timeZone: 'America/Bogota'
+            }).format(date);
+            this.stamp.textContent = t('live.updated', { date: label });
+            this.stamp.setAttribute('datetime', date.toISOString());
+        }
+        
+        cleanup() {
+            clearTimeout(this.timer);
+            document.removeEventListener('visibilitychange', this.handleVisibility);
+        }
+    }
+    
+    // ====================================
+    // ANIMATION MANAGER (VIEWPORT-BASED)
+    // ====================================
+    class AnimationManager {
+        constructor() {
+            this.animatedElements = new Map();
+            this.rafId = null;
+            this.isRunning = false;
+            this.visibilityObserver = null;
+            this.visibleElements = new Set();
+            this.unsubscribeQuality = null;
+        }
+        
+        init() {
+            // Tag elements first so the observer picks them up
+            this.optimizeExistingAnimations();
+            this.setupVisibilityObserver();
+            this.unsubscribeQuality = performanceMonitor.onQualityChange(() => this.applyQuality());
+            this.applyQuality();
+            this.startAnimationLoop();
+        }
+        
+        setupVisibilityObserver() {
+            this.visibilityObserver = new IntersectionObserver(
+                (entries) => {
+                    entries.forEach(entry => {
+                        const element = entry.target;
+                        const animationId = element.dataset.animationId;
+                        
+                        if (entry.isIntersecting) {
+                            this.visibleElements.add(element);
+                            this.resumeAnimation(element, animationId);
+                        } else {
+                            this.visibleElements.delete(element);
+                            this.pauseAnimation(element, animationId);
+                        }
+                    });
+                },
+                {
+                    rootMargin: '50px',
+                    threshold: 0
+                }
+            );
+            
+            // Observe all animated elements
+            document.querySelectorAll('[data-animation]').forEach(element => {
+                this.visibilityObserver.observe(element);
+            });
+        }
+        
+        optimizeExistingAnimations() {
+            // Add data attributes to animated elements
+            document.querySelectorAll('.urgency-badge.critical').forEach((el, i) => {
+                el.dataset.animation = 'pulse';
+                el.dataset.animationId = `pulse-${i}`;
+            });
+            
+            document.querySelectorAll('.ticker-content').forEach((el, i) => {
+                el.dataset.animation = 'scroll';
+                el.dataset.animationId = `scroll-${i}`;
+            });
+            
+            document.querySelectorAll('.orb').forEach((el, i) => {
+                el.dataset.animation = 'float';
+                el.dataset.animationId = `float-${i}`;
+            });
+            
+            document.querySelectorAll('.gradient-text').forEach((el, i) => {
+                el.dataset.animation = 'gradient';
+                el.dataset.animationId = `gradient-${i}`;
+            });
+        }
+        
+        // reduced keeps the small accents but not the orbs; minimal stops everything
+        isAllowed(element) {
+            const level = performanceMonitor.metrics.qualityLevel;
+            if (level === 'minimal') return false;
+            return level === 'full' || element.dataset.animation !== 'float';
+        }
+        
+        applyQuality() {
+            document.querySelectorAll('[data-animation]').forEach(element => {
+                if (this.isAllowed(element) && this.visibleElements.has(element)) {
+                    this.resumeAnimation(element, element.dataset.animationId);
+                } else {
+                    this.pauseAnimation(element, element.dataset.animationId);
+                }
+            });
+        }
+        
+        pauseAnimation(element, animationId) {
+            if (element && element.style) {
+                element.style.animationPlayState = 'paused';
+                performanceMonitor.pauseAnimation(animationId);
+            }
+        }
+        
+        resumeAnimation(element, animationId) {
+            if (element && element.style && this.isAllowed(element)) {
+                // Check if we're under the animation budget
+                if (performanceMonitor.metrics.animationsRunning < CONFIG.MAX_CONCURRENT_ANIMATIONS) {
+                    element.style.animationPlayState = 'running';
+                    performanceMonitor.registerAnimation(animationId, element);
+                }
+            }
+        }
+        
+        startAnimationLoop() {
+            if (this.isRunning) return;
+            this.isRunning = true;
+            
+            const animate = (timestamp) => {
+                // Process animations in a single RAF
+                this.updateAnimations(timestamp);
+                
+                if (this.isRunning) {
+                    this.rafId = requestAnimationFrame(animate);
+                }
+            };
+            
+            this.rafId = requestAnimationFrame(animate);
+        }
+        
+        updateAnimations(timestamp) {
+            // Update dynamic elements
+            this.updateLiveElements(timestamp);
+        }
+        
+        updateLiveElements(timestamp) {
+            if (performanceMonitor.metrics.qualityLevel === 'minimal') return;
+            
+            if (!this.lastLiveUpdate || timestamp - this.lastLiveUpdate > 10000) {
+                // Update any live badges or indicators
+                document.querySelectorAll('.status-dot').forEach(dot => {
+                    if (this.isElementInViewport(dot)) {
+                        dot.style.transform = 'scale(1.2)';
+                        setTimeout(() => {
+                            dot.style.transform = 'scale(1)';
+                        }, 300);
+                    }
+                });
+                this.lastLiveUpdate = timestamp;
+            }
+        }
+        
+        isElementInViewport(element) {
+            const rect = element.getBoundingClientRect();
+            return (
+                rect.top >= 0 &&
+                rect.left >= 0 &&
+                rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) &&
+                rect.right <= (window.innerWidth || document.documentElement.clientWidth)
+            );
+        }
+        
+        cleanup() {
+            this.isRunning = false;
+            if (this.rafId) {
+                cancelAnimationFrame(this.rafId);
+            }
+            if (this.visibilityObserver) {
+                this.visibilityObserver.disconnect();
+            }
+            if (this.unsubscribeQuality) this.unsubscribeQuality();
+        }
+    }
+    
+    // ====================================
+    // SMOOTH SCROLL WITH PERFORMANCE
+    // ====================================
+    function initSmoothScroll() {
+        const scrollLinks = document.querySelectorAll('a[href^="#"]');
+        
+        scrollLinks.forEach(anchor => {
+            anchor.addEventListener('click', function (e) {
+                e.preventDefault();
+                const targetId = this.getAttribute('href');
+                if (targetId === '#') return;
+                
+                const target = document.querySelector(targetId);
+                if (target) {
+                    // Pause animations during scroll
+                    document.body.classList.add('scrolling');
+                    
+                    const offsetTop = target.offsetTop - 80;
+                    window.scrollTo({
+                        top: offsetTop,
+                        behavior: 'smooth'
+                    });
+                    
+                    // Resume animations after scroll
+                    setTimeout(() => {
+                        document.body.classList.remove('scrolling');
+                    }, 1000);
+                }
+            });
+        });
+    }
+    
+    // ====================================
+    // PROGRESSIVE IMAGE LOADING
+    // ====================================
+    class ProgressiveImageLoader {
+        constructor() {
+            this.images = [];
+            this.observer = null;
+        }
+        
+        init() {
+            this.images = document.querySelectorAll('img[loading="lazy"]');
+            
+            if ('loading' in HTMLImageElement.prototype) {
+                // Browser supports native lazy loading
+                this.enhanceNativeLazyLoad();
+            } else {
+                // Fallback for older browsers
+                this.setupIntersectionObserver();
+            }
+        }
+        
+        enhanceNativeLazyLoad() {
+            this.images.forEach(img => {
+                // Add loading placeholder
+                img.classList.add('loading');
+                
+                img.addEventListener('load', () => {
+                    img.classList.remove('loading');
                     img.classList.add('loaded');
                 });
                 
@@ -637,36 +5717,211 @@
             this.images.forEach(img => this.observer.observe(img));
         }
         
-        loadImage(img) {
-            img.classList.add('loading');
+        loadImage(img) {
+            img.classList.add('loading');
+            
+            const tempImg = new Image();
+            tempImg.onload = () => {
+                img.src = tempImg.src;
+                img.classList.remove('loading');
+                img.classList.add('loaded');
+            };
+            tempImg.onerror = () => {
+                this.handleImageError(img);
+            };
+            tempImg.src = img.dataset.src || img.src;
+        }
+        
+        handleImageError(img) {
+            // Set fallback image
+            if (img.alt && img.alt.includes('Daniel')) {
+                img.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="400" height="400"%3E%3Crect fill="%23f0f0f0" width="400" height="400"/%3E%3Ctext x="50%25" y="50%25" text-anchor="middle" dy=".3em" fill="%23999"%3EDaniel B.%3C/text%3E%3C/svg%3E';
+            }
+        }
+    }
+    
+    // ====================================
+    // ENGAGEMENT TRACKING
+    // ====================================
+    // Fed by the ScrollAnimations observer, so sections are watched once.
+    // The session summary survives navigation to gracias.html and is sent
+    // through analytics whenever the page is hidden.
+    const CTA_SELECTOR = 'a[href="#form-section"], a[data-whatsapp], .cta-primary, .cta-secondary-button, .problem-card-cta';
+    
+    class EngagementTracker {
+        constructor() {
+            this.visible = new Map();
+            this.reachedMilestones = new Set();
+            this.dirty = false;
+            this.summary = this.read();
+            this.summary.pages++;
+            
+            this.handleScroll = throttle(() => this.updateDepth(), CONFIG.THROTTLE_DELAY);
+            this.handleClick = (e) => this.onClick(e);
+            this.handleVisibility = () => this.onVisibility();
+            this.handlePageHide = () => this.report();
+        }
+        
+        init() {
+            window.addEventListener('scroll', this.handleScroll, { passive: true });
+            document.addEventListener('click', this.handleClick);
+            document.addEventListener('visibilitychange', this.handleVisibility);
+            window.addEventListener('pagehide', this.handlePageHide);
+            this.updateDepth();
+        }
+        
+        read() {
+            try {
+                const stored = JSON.parse(sessionStorage.getItem(CONFIG.ENGAGEMENT_STORAGE_KEY));
+                if (stored && stored.dwell) return stored;
+            } catch (e) {
+                // Start a fresh summary
+            }
+            return { pages: 0, maxDepth: 0, dwell: {}, ctaClicks: [] };
+        }
+        
+        save() {
+            try {
+                sessionStorage.setItem(CONFIG.ENGAGEMENT_STORAGE_KEY, JSON.stringify(this.summary));
+            } catch (e) {
+                // Storage unavailable: the summary covers this page only
+            }
+        }
+        
+        isTracked(element) {
+            return element.matches('.section[data-section]');
+        }
+        
+        onIntersection(entry) {
+            if (!this.isTracked(entry.target)) return;
+            
+            const section = entry.target.dataset.section;
+            if (entry.isIntersecting && !this.visible.has(section)) {
+                this.visible.set(section, document.hidden ? null : Date.now());
+            } else if (!entry.isIntersecting && this.visible.has(section)) {
+                this.addDwell(section);
+                this.visible.delete(section);
+            }
+        }
+        
+        addDwell(section) {
+            const since = this.visible.get(section);
+            if (!since) return;
+            
+            this.summary.dwell[section] = (this.summary.dwell[section] || 0) + (Date.now() - since);
+            this.visible.set(section, document.hidden ? null : Date.now());
+            this.dirty = true;
+        }
+        
+        updateDepth() {
+            const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+            const depth = scrollable > 0 ? Math.min(100, Math.round((window.scrollY / scrollable) * 100)) : 100;
+            
+            if (depth > this.summary.maxDepth) {
+                this.summary.maxDepth = depth;
+                this.dirty = true;
+            }
+            
+            CONFIG.SCROLL_DEPTH_MILESTONES.forEach(milestone => {
+                if (depth < milestone || this.reachedMilestones.has(milestone)) return;
+                this.reachedMilestones.add(milestone);
+                
+                analytics.track('scroll_depth', {
+                    event_category: 'engagement',
+                    percent: milestone,
+                    section: whatsAppComposer.getSection() || '(none)'
+                });
+            });
+        }
+        
+        onClick(e) {
+            const cta = e.target.closest && e.target.closest(CTA_SELECTOR);
+            if (!cta) return;
+            
+            const all = Array.from(document.querySelectorAll(CTA_SELECTOR));
+            const click = {
+                cta: cta.dataset.whatsapp ? `whatsapp-${cta.dataset.whatsapp}` : cta.className.split(' ')[0] || cta.tagName.toLowerCase(),
+                section: whatsAppComposer.getSection(cta) || '(none)',
+                position: all.indexOf(cta) + 1,
+                depth: this.summary.maxDepth
+            };
+            
+            this.summary.ctaClicks = this.summary.ctaClicks.concat(click).slice(-20);
+            this.dirty = true;
+            // The click may navigate away before the page is hidden
+            this.save();
+            
+            analytics.track('cta_click', {
+                event_category: 'engagement',
+                ...click
+            });
+        }
+        
+        onVisibility() {
+            if (document.hidden) {
+                this.visible.forEach((since, section) => this.addDwell(section));
+                this.report();
+            } else {
+                this.visible.forEach((since, section) => this.visible.set(section, Date.now()));
+            }
+        }
+        
+        getSummary() {
+            const dwell = {};
+            Object.entries(this.summary.dwell).forEach(([section, ms]) => {
+                dwell[section] = Math.round(ms / 1000);
+            });
+            const ranked = Object.keys(dwell).sort((a, b) => dwell[b] - dwell[a]);
+            
+            return {
+                pages: this.summary.pages,
+                maxDepth: this.summary.maxDepth,
+                dwell: dwell,
+                topSection: ranked[0] || null,
+                ctaClicks: this.summary.ctaClicks.slice()
+            };
+        }
+        
+        // Flat params: analytics sinks do not take nested objects
+        report() {
+            this.visible.forEach((since, section) => this.addDwell(section));
+            this.save();
+            if (!this.dirty) return;
+            this.dirty = false;
             
-            const tempImg = new Image();
-            tempImg.onload = () => {
-                img.src = tempImg.src;
-                img.classList.remove('loading');
-                img.classList.add('loaded');
+            const summary = this.getSummary();
+            const params = {
+                event_category: 'engagement',
+                pages: summary.pages,
+                max_depth: summary.maxDepth,
+                top_section: summary.topSection || '(none)',
+                cta_clicks: summary.ctaClicks.length,
+                last_cta: summary.ctaClicks.length ? summary.ctaClicks[summary.ctaClicks.length - 1].cta : '(none)'
             };
-            tempImg.onerror = () => {
-                this.handleImageError(img);
-            };
-            tempImg.src = img.dataset.src || img.src;
+            Object.entries(summary.dwell).forEach(([section, seconds]) => {
+                params[`dwell_${section.replace(/-/g, '_')}`] = seconds;
+            });
+            
+            analytics.track('engagement_summary', params);
         }
         
-        handleImageError(img) {
-            // Set fallback image
-            if (img.alt && img.alt.includes('Daniel')) {
-                img.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="400" height="400"%3E%3Crect fill="%23f0f0f0" width="400" height="400"/%3E%3Ctext x="50%25" y="50%25" text-anchor="middle" dy=".3em" fill="%23999"%3EDaniel B.%3C/text%3E%3C/svg%3E';
-            }
+        // The summary reporters stay: beforeunload runs this before pagehide
+        cleanup() {
+            window.removeEventListener('scroll', this.handleScroll);
+            document.removeEventListener('click', this.handleClick);
         }
     }
     
+    const engagementTracker = new EngagementTracker();
+    
     // ====================================
     // SCROLL ANIMATIONS WITH STAGGER
     // ====================================
     class ScrollAnimations {
-        constructor() {
+        constructor(tracker) {
             this.observer = null;
             this.animatedElements = new Set();
+            this.tracker = tracker || null;
         }
         
         init() {
@@ -678,14 +5933,23 @@
             this.observer = new IntersectionObserver(
                 (entries) => {
                     entries.forEach((entry, index) => {
+                        if (this.tracker) this.tracker.onIntersection(entry);
+                        
                         if (entry.isIntersecting && !this.animatedElements.has(entry.target)) {
+                            if (entry.target.dataset.countTo !== undefined) {
+                                counterAnimator.start(entry.target);
+                                this.animatedElements.add(entry.target);
+                                this.release(entry.target);
+                                return;
+                            }
+                            
                             // Stagger animations
                             setTimeout(() => {
                                 entry.target.classList.add('visible');
                                 this.animatedElements.add(entry.target);
                             }, index * 50);
                             
-                            this.observer.unobserve(entry.target);
+                            this.release(entry.target);
                         }
                     });
                 },
@@ -696,6 +5960,13 @@
             );
         }
         
+        // Tracked sections stay observed for dwell time after fading in
+        release(element) {
+            if (!this.tracker || !this.tracker.isTracked(element)) {
+                this.observer.unobserve(element);
+            }
+        }
+        
         observeElements() {
             // Add fade-in to sections
             document.querySelectorAll('.section').forEach(section => {
@@ -710,6 +5981,13 @@
                 card.classList.add('fade-in-card');
                 this.observer.observe(card);
             });
+            
+            // Count metrics up when they scroll into view
+            document.querySelectorAll('[data-count-to]').forEach(counter => {
+                if (counterAnimator.prepare(counter)) {
+                    this.observer.observe(counter);
+                }
+            });
         }
     }
     
@@ -724,151 +6002,994 @@
         // Use passive listeners for better scroll performance
         const options = { passive: true };
         
-        cards.forEach(card => {
-            let isAnimating = false;
+        cards.forEach(card => {
+            let isAnimating = false;
+            
+            const animateCard = (direction) => {
+                if (isAnimating) return;
+                isAnimating = true;
+                
+                requestAnimationFrame(() => {
+                    card.style.transform = direction === 'up' ? 'translateY(-8px)' : 'translateY(0)';
+                    isAnimating = false;
+                });
+            };
+            
+            card.addEventListener('mouseenter', () => animateCard('up'), options);
+            card.addEventListener('mouseleave', () => animateCard('down'), options);
+            card.addEventListener('touchstart', () => animateCard('up'), options);
+            card.addEventListener('touchend', () => animateCard('down'), options);
+        });
+    }
+    
+    // ====================================
+    // ENHANCED FORM HANDLING
+    // ====================================
+    // The embed posts either { type, ...payload } objects or [type, payload]
+    // arrays, and has used more than one name per event. Add new names here.
+    const FORM_MESSAGE_TYPES = {
+        resize: ['resize', 'set-height', 'highlevel.setHeight'],
+        started: ['form-started', 'form-start'],
+        page: ['form-page-change', 'page-change', 'step-change'],
+        validation: ['form-validation-error', 'validation-error'],
+        submitted: ['form-submitted', 'form-submit']
+    };
+    
+    const FORM_HEIGHT_LIMITS = { min: 200, max: 4000 };
+    
+    class FormMessageRouter {
+        constructor() {
+            this.state = { started: false, submitted: false, page: 1 };
+            this.listeners = new Set();
+            this.routes = {};
+            Object.entries(FORM_MESSAGE_TYPES).forEach(([route, names]) => {
+                names.forEach(name => { this.routes[name] = route; });
+            });
+            this.handleMessage = (event) => this.onMessage(event);
+        }
+        
+        init() {
+            this.container = document.querySelector('.form-container');
+            this.iframe = this.container ? this.container.querySelector('iframe') : null;
+            window.addEventListener('message', this.handleMessage);
+        }
+        
+        // Listeners get (route, payload) after the router has handled the event
+        subscribe(callback) {
+            this.listeners.add(callback);
+            return () => this.listeners.delete(callback);
+        }
+        
+        normalize(data) {
+            if (typeof data === 'string' && /^[[{]/.test(data.trim())) {
+                try {
+                    data = JSON.parse(data);
+                } catch (e) {
+                    return null;
+                }
+            }
+            
+            if (Array.isArray(data) && typeof data[0] === 'string') {
+                const payload = data[1];
+                return {
+                    type: data[0],
+                    payload: payload && typeof payload === 'object' ? payload : { value: payload }
+                };
+            }
+            
+            if (data && typeof data === 'object') {
+                const type = data.type || data.event;
+                if (typeof type !== 'string') return null;
+                const payload = data.payload || data.data;
+                return { type: type, payload: payload && typeof payload === 'object' ? payload : data };
+            }
+            
+            return null;
+        }
+        
+        onMessage(event) {
+            if (!CONFIG.FORM_MESSAGE_ORIGINS.includes(event.origin)) return;
+            
+            // Other LeadConnector widgets on the page share the origin
+            if (this.iframe && this.iframe.contentWindow && event.source !== this.iframe.contentWindow) return;
+            
+            const message = this.normalize(event.data);
+            const route = message && this.routes[message.type];
+            if (!route) return;
+            
+            switch (route) {
+                case 'resize': this.onResize(message.payload); break;
+                case 'started': this.onStarted(); break;
+                case 'page': this.onPage(message.payload); break;
+                case 'validation': this.onValidation(message.payload); break;
+                case 'submitted': this.onSubmitted(); break;
+            }
+            
+            this.listeners.forEach(callback => callback(route, message.payload));
+        }
+        
+        // Size the iframe to its content instead of the fixed min-heights
+        onResize(payload) {
+            const height = Math.round(Number(payload.height !== undefined ? payload.height : payload.value));
+            if (!this.iframe || !Number.isFinite(height)) return;
+            
+            this.iframe.style.height = `${Math.min(Math.max(height, FORM_HEIGHT_LIMITS.min), FORM_HEIGHT_LIMITS.max)}px`;
+            this.container.classList.add('is-auto-height');
+        }
+        
+        onStarted() {
+            if (this.state.started) return;
+            this.state.started = true;
+            
+            errorReporter.breadcrumb('form', 'started');
+            analytics.track('form_start', {
+                event_category: 'engagement',
+                event_label: 'consultation_form'
+            });
+        }
+        
+        onPage(payload) {
+            const page = Number(payload.page !== undefined ? payload.page : payload.step !== undefined ? payload.step : payload.value);
+            if (!Number.isFinite(page) || page === this.state.page) return;
+            
+            // Reaching a later page means the form was started even without the event
+            this.onStarted();
+            this.state.page = page;
+            
+            errorReporter.breadcrumb('form', 'page', { page: page });
+            analytics.track('form_page', {
+                event_category: 'engagement',
+                event_label: 'consultation_form',
+                page: page,
+                total_pages: Number(payload.total || payload.totalPages) || undefined
+            });
+        }
+        
+        // Field names only: values may carry personal data
+        getInvalidFields(payload) {
+            const errors = payload.fields || payload.errors || [];
+            const fields = Array.isArray(errors)
+                ? errors.map(error => typeof error === 'string' ? error : error && (error.field || error.name))
+                : Object.keys(errors);
+            return fields.filter(field => typeof field === 'string').slice(0, 10);
+        }
+        
+        onValidation(payload) {
+            const fields = this.getInvalidFields(payload);
+            
+            errorReporter.breadcrumb('form', 'validation', { fields: fields });
+            analytics.track('form_validation_error', {
+                event_category: 'engagement',
+                event_label: 'consultation_form',
+                page: this.state.page,
+                fields: fields.join(',')
+            });
+        }
+        
+        onSubmitted() {
+            if (this.state.submitted) return;
+            this.state.submitted = true;
+            
+            showNotification(t('form.received'), 'success');
+            
+            analytics.track('form_submit', {
+                event_category: 'engagement',
+                event_label: 'consultation_form',
+                page: this.state.page
+            });
+        }
+        
+        cleanup() {
+            window.removeEventListener('message', this.handleMessage);
+            this.listeners.clear();
+        }
+    }
+    
+    const formMessages = new FormMessageRouter();
+    
+    // ====================================
+    // FORM ABANDONMENT RECOVERY
+    // ====================================
+    // Contadores who spent time on the form (or started it) and then show
+    // exit intent get one dismissible offer to continue on WhatsApp or to
+    // request a call. Caps live in localStorage so it does not nag.
+    class AbandonmentPrompt {
+        constructor(queue, messages) {
+            this.queue = queue;
+            this.messages = messages;
+            this.section = null;
+            this.prompt = null;
+            this.visibleSince = null;
+            this.visibleTime = 0;
+            this.started = false;
+            this.finished = false;
+            this.shown = false;
+            this.pendingReturn = false;
+            this.lastScroll = null;
+            this.returnFocus = null;
+            
+            this.handleMouseOut = (e) => {
+                if (!e.relatedTarget && e.clientY <= 0) this.trigger('pointer');
+            };
+            this.handleScroll = () => this.onScroll();
+            this.handleVisibility = () => this.onVisibility();
+            this.handleClick = (e) => this.onDocumentClick(e);
+            this.handleKeydown = (e) => {
+                if (e.key === 'Escape') this.close('dismiss');
+            };
+        }
+        
+        init() {
+            this.section = document.getElementById('form-section');
+            if (!this.section || !this.canShow()) return;
+            
+            this.observer = new IntersectionObserver(entries => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.visibleSince = this.visibleSince || Date.now();
+                    } else if (this.visibleSince) {
+                        this.visibleTime += Date.now() - this.visibleSince;
+                        this.visibleSince = null;
+                    }
+                });
+            }, { threshold: 0.3 });
+            this.observer.observe(this.section);
+            
+            this.unsubscribeMessages = this.messages.subscribe(route => {
+                if (route === 'started' || route === 'page') this.started = true;
+                if (route === 'submitted') this.finished = true;
+            });
+            
+            if (window.matchMedia && window.matchMedia('(pointer: fine)').matches) {
+                document.addEventListener('mouseout', this.handleMouseOut);
+            } else {
+                window.addEventListener('scroll', this.handleScroll, { passive: true });
+            }
+            document.addEventListener('visibilitychange', this.handleVisibility);
+            document.addEventListener('click', this.handleClick);
+        }
+        
+        readState() {
+            try {
+                return JSON.parse(localStorage.getItem(CONFIG.RECOVERY_STORAGE_KEY)) || { shown: [] };
+            } catch (e) {
+                return { shown: [] };
+            }
+        }
+        
+        writeState(state) {
+            try {
+                localStorage.setItem(CONFIG.RECOVERY_STORAGE_KEY, JSON.stringify(state));
+            } catch (e) {
+                // Without storage the cap only holds for this page view
+            }
+        }
+        
+        canShow() {
+            const state = this.readState();
+            if (state.converted) return false;
+            
+            const shown = state.shown || [];
+            const last = shown.length ? Date.parse(shown[shown.length - 1]) : 0;
+            return shown.length < CONFIG.RECOVERY_MAX_PROMPTS &&
+                Date.now() - last >= CONFIG.RECOVERY_COOLDOWN_HOURS * 3600000;
+        }
+        
+        isArmed() {
+            const visible = this.visibleTime + (this.visibleSince ? Date.now() - this.visibleSince : 0);
+            return this.started || visible >= CONFIG.RECOVERY_MIN_VISIBLE;
+        }
+        
+        // Touch devices have no pointer exit; a quick flick back up is the closest signal
+        onScroll() {
+            const now = performance.now();
+            const y = window.scrollY;
+            const previous = this.lastScroll;
+            this.lastScroll = { y: y, time: now };
+            if (!previous || now - previous.time > 200 || now === previous.time) return;
+            
+            if ((previous.y - y) / (now - previous.time) > CONFIG.RECOVERY_SCROLL_VELOCITY) {
+                this.trigger('scroll');
+            }
+        }
+        
+        // A hidden tab cannot show anything; offer it when the contador comes back
+        onVisibility() {
+            if (document.visibilityState === 'hidden') {
+                this.pendingReturn = this.isArmed();
+            } else if (this.pendingReturn) {
+                this.pendingReturn = false;
+                this.trigger('tab');
+            }
+        }
+        
+        onDocumentClick(e) {
+            if (!e.target.closest) return;
+            
+            // Already reaching out: no need to offer it again
+            if (e.target.closest('a[data-whatsapp]')) {
+                this.finished = true;
+                if (this.prompt && this.prompt.contains(e.target)) {
+                    this.convert('whatsapp');
+                    // After the click so the link still opens
+                    setTimeout(() => this.close(), 0);
+                }
+            }
+        }
+        
+        trigger(source) {
+            if (this.shown || this.finished || !this.isArmed()) return;
+            if (document.body.classList.contains('modal-open') || document.querySelector('.consent-banner')) return;
+            if (!this.canShow()) return;
+            
+            this.show(source);
+        }
+        
+        show(source) {
+            this.shown = true;
+            const state = this.readState();
+            state.shown = (state.shown || []).concat(new Date().toISOString()).slice(-CONFIG.RECOVERY_MAX_PROMPTS);
+            this.writeState(state);
+            
+            this.returnFocus = document.activeElement;
+            this.prompt = document.createElement('div');
+            this.prompt.className = 'recovery-prompt';
+            this.prompt.setAttribute('role', 'dialog');
+            this.prompt.setAttribute('aria-modal', 'false');
+            this.prompt.setAttribute('aria-labelledby', 'recovery-title');
+            this.prompt.tabIndex = -1;
+            
+            // Callback requests need an endpoint; a queued one would never reach anyone
+            const canCallBack = Boolean(CONFIG.LEAD_ENDPOINT);
+            this.prompt.innerHTML = `
+                <button type="button" class="recovery-close" data-close aria-label="${t('common.close')}">&times;</button>
+                <h3 id="recovery-title">${t('recovery.title')}</h3>
+                <p class="recovery-text">${t(canCallBack ? 'recovery.text' : 'recovery.textWhatsApp')}</p>
+                <div class="recovery-actions">
+                    <a href="https://wa.me/${CONFIG.WHATSAPP_NUMBER}" class="recovery-whatsapp" data-whatsapp="recovery" target="_blank" rel="noopener">${t('recovery.whatsapp')}</a>
+                    ${canCallBack ? `<button type="button" class="recovery-callback" aria-expanded="false" aria-controls="recovery-form">${t('recovery.callback')}</button>` : ''}
+                </div>
+                ${canCallBack ? `
+                <form class="recovery-form" id="recovery-form" novalidate hidden>
+                    <div class="fallback-field">
+                        <label for="fz-recovery-name">${t('recovery.name')}</label>
+                        <input type="text" id="fz-recovery-name" name="name" autocomplete="name" required>
+                    </div>
+                    <div class="fallback-field">
+                        <label for="fz-recovery-phone">${t('recovery.phone')}</label>
+                        <input type="tel" id="fz-recovery-phone" name="whatsapp" autocomplete="tel" inputmode="tel" placeholder="300 123 4567" required>
+                    </div>
+                    <div class="fallback-field">
+                        <label for="fz-recovery-time">${t('recovery.time')}</label>
+                        <select id="fz-recovery-time" name="time">
+                            <option value="morning">${t('recovery.morning')}</option>
+                            <option value="afternoon">${t('recovery.afternoon')}</option>
+                        </select>
+                    </div>
+                    <button type="submit" class="fallback-submit">${t('recovery.submit')}</button>
+                    <p class="fallback-status" role="status" aria-live="polite"></p>
+                </form>
+                ` : ''}
+            `;
+            
+            this.prompt.querySelector('[data-close]').addEventListener('click', () => this.close('dismiss'));
+            if (canCallBack) {
+                this.prompt.querySelector('.recovery-callback').addEventListener('click', (e) => this.toggleCallback(e.currentTarget));
+                this.prompt.querySelector('.recovery-form').addEventListener('submit', (e) => this.requestCallback(e));
+            }
+            this.prompt.addEventListener('keydown', this.handleKeydown);
+            
+            document.body.appendChild(this.prompt);
+            this.prompt.focus();
+            
+            analytics.track('recovery_prompt', {
+                event_category: 'engagement',
+                trigger: source,
+                form_started: this.started
+            });
+        }
+        
+        toggleCallback(button) {
+            const form = this.prompt.querySelector('.recovery-form');
+            form.hidden = !form.hidden;
+            button.setAttribute('aria-expanded', String(!form.hidden));
+            if (!form.hidden) form.elements.name.focus();
+        }
+        
+        async requestCallback(e) {
+            e.preventDefault();
+            const form = e.currentTarget;
+            const status = form.querySelector('.fallback-status');
+            const name = form.elements.name.value.trim();
+            const phone = form.elements.whatsapp.value.trim();
+            
+            const invalid = name.length < 3 ? form.elements.name : !isColombianMobile(phone) ? form.elements.whatsapp : null;
+            [form.elements.name, form.elements.whatsapp].forEach(field => {
+                if (field === invalid) {
+                    field.setAttribute('aria-invalid', 'true');
+                } else {
+                    field.removeAttribute('aria-invalid');
+                }
+            });
+            if (invalid) {
+                status.textContent = invalid.name === 'name' ? t('fallback.errorName') : t('fallback.errorWhatsApp');
+                status.dataset.type = 'error';
+                invalid.focus();
+                return;
+            }
+            
+            const context = caseContext.get();
+            const timeLabel = form.elements.time.options[form.elements.time.selectedIndex].text;
+            form.querySelector('.fallback-submit').disabled = true;
+            status.textContent = t('fallback.sending');
+            status.dataset.type = 'info';
+            
+            const lead = this.queue.enqueue({
+                name: name,
+                whatsapp: phone,
+                caseType: context.caseType || '',
+                caseTypeLabel: CASE_TYPES[context.caseType] || '',
+                description: [t('recovery.description', { value: timeLabel }), context.summary].filter(Boolean).join('\n\n'),
+                preferredTime: form.elements.time.value,
+                source: 'callback-request',
+                language: i18n.lang,
+                reference: whatsAppComposer.getReference(),
+                attribution: attributionTracker.toQueryParams(),
+                page: window.location.href
+            });
+            
+            const confirmed = await this.queue.deliver(lead);
+            this.convert('callback');
+            
+            if (confirmed) {
+                showNotification(t('recovery.sent'), 'success');
+            } else if (this.queue.has(lead.id)) {
+                this.queue.scheduleRetry();
+                showNotification(t('fallback.queuedNotice'), 'warning');
+            } else {
+                showNotification(t('fallback.notSavedNotice'), 'error', {
+                    actions: [{ label: t('notify.openWhatsApp'), href: whatsAppComposer.buildLink('float') }]
+                });
+            }
+            this.close();
+        }
+        
+        convert(action) {
+            const state = this.readState();
+            state.converted = true;
+            this.writeState(state);
+            
+            analytics.track('recovery_action', {
+                event_category: 'engagement',
+                action: action
+            });
+        }
+        
+        close(action) {
+            if (!this.prompt) return;
+            
+            if (action) {
+                analytics.track('recovery_action', {
+                    event_category: 'engagement',
+                    action: action
+                });
+            }
+            
+            this.prompt.remove();
+            this.prompt = null;
+            if (this.returnFocus && this.returnFocus.isConnected && this.returnFocus.focus) {
+                this.returnFocus.focus();
+            }
+        }
+        
+        cleanup() {
+            if (this.observer) this.observer.disconnect();
+            if (this.unsubscribeMessages) this.unsubscribeMessages();
+            document.removeEventListener('mouseout', this.handleMouseOut);
+            window.removeEventListener('scroll', this.handleScroll);
+            document.removeEventListener('visibilitychange', this.handleVisibility);
+            document.removeEventListener('click', this.handleClick);
+        }
+    }
+    
+    // ====================================
+    // EXPERIMENTS
+    // ====================================
+    // Visitors are bucketed by a hash of a stored visitor id, so the variant
+    // stays the same across visits. The head script in index.html hides
+    // [data-experiment] elements until apply() has marked them ready.
+    class ExperimentManager {
+        constructor(definitions) {
+            this.definitions = definitions || [];
+            this.active = new Set((document.documentElement.dataset.experiments || '').split(/\s+/).filter(Boolean));
+            this.state = this.read();
+            this.overrides = this.readOverrides();
+            this.variants = {};
+            this.observer = null;
+            this.seen = new Set();
+        }
+        
+        read() {
+            try {
+                const stored = JSON.parse(localStorage.getItem(CONFIG.EXPERIMENT_STORAGE_KEY));
+                if (stored && stored.visitor) return stored;
+            } catch (e) {
+                // Start a fresh state
+            }
+            return {
+                visitor: `v-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+                assignments: {},
+                exposed: {}
+            };
+        }
+        
+        save() {
+            try {
+                localStorage.setItem(CONFIG.EXPERIMENT_STORAGE_KEY, JSON.stringify(this.state));
+            } catch (e) {
+                // Without storage the bucket is still deterministic for this visit
+            }
+        }
+        
+        // ?exp=id:variant,id:variant forces variants for QA without storing them
+        readOverrides() {
+            const overrides = {};
+            const param = new URLSearchParams(window.location.search).get('exp');
+            if (!param) return overrides;
+            
+            param.split(',').forEach(pair => {
+                const [id, variant] = pair.split(':').map(part => (part || '').trim());
+                if (id && variant) overrides[id] = variant;
+            });
+            return overrides;
+        }
+        
+        // FNV-1a: stable across browsers, good enough to spread buckets evenly
+        hash(value) {
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < value.length; i++) {
+                hash ^= value.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return (hash >>> 0) / 0x100000000;
+        }
+        
+        bucket(definition) {
+            const entries = Object.entries(definition.variants);
+            const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+            let point = this.hash(`${this.state.visitor}:${definition.id}`) * total;
+            
+            for (const [variant, weight] of entries) {
+                point -= weight;
+                if (point < 0) return variant;
+            }
+            return entries[entries.length - 1][0];
+        }
+        
+        resolve(definition) {
+            const override = this.overrides[definition.id];
+            if (override && definition.variants[override] !== undefined) return override;
+            if (!this.active.has(definition.id)) return null;
+            
+            // Keep the stored variant unless the definition dropped it
+            const stored = this.state.assignments[definition.id];
+            if (stored && definition.variants[stored] !== undefined) return stored;
+            
+            const variant = this.bucket(definition);
+            this.state.assignments[definition.id] = variant;
+            return variant;
+        }
+        
+        start() {
+            this.definitions.forEach(definition => {
+                const variant = this.resolve(definition);
+                if (variant) this.variants[definition.id] = variant;
+            });
+            this.save();
+            
+            this.unsubscribeMessages = formMessages.subscribe(route => {
+                if (route === 'submitted') this.convert('form_submit');
+            });
+            
+            this.apply();
+        }
+        
+        isQA(id) {
+            return this.overrides[id] !== undefined;
+        }
+        
+        getVariant(id) {
+            return this.variants[id] || null;
+        }
+        
+        // Safe to call again after translations or content re-render the targets
+        apply() {
+            Object.entries(this.variants).forEach(([id, variant]) => {
+                const definition = this.definitions.find(item => item.id === id);
+                const changes = (definition.changes && definition.changes[variant]) || [];
+                
+                changes.forEach(change => {
+                    document.querySelectorAll(`[data-experiment="${change.target}"]`).forEach(element => {
+                        if (change.html !== undefined) {
+                            element.innerHTML = i18n.localize(change.html);
+                        } else if (change.text !== undefined) {
+                            element.textContent = i18n.localize(change.text);
+                        }
+                        element.dataset.experimentId = id;
+                    });
+                });
+                
+                // Control keeps the markup but still needs an exposure
+                this.getTargets(definition).forEach(element => {
+                    element.dataset.experimentId = id;
+                });
+            });
+            
+            document.querySelectorAll('[data-experiment]').forEach(element => {
+                element.dataset.experimentReady = '';
+            });
+            this.observeExposure();
+        }
+        
+        getTargets(definition) {
+            const targets = new Set();
+            Object.values(definition.changes || {}).forEach(changes => {
+                changes.forEach(change => targets.add(change.target));
+            });
+            return Array.from(targets).flatMap(target => Array.from(document.querySelectorAll(`[data-experiment="${target}"]`)));
+        }
+        
+        reveal() {
+            document.documentElement.classList.remove('experiments-pending');
+        }
+        
+        // Exposure means the contador actually saw the tested copy
+        observeExposure() {
+            if (this.observer) this.observer.disconnect();
             
-            const animateCard = (direction) => {
-                if (isAnimating) return;
-                isAnimating = true;
-                
-                requestAnimationFrame(() => {
-                    card.style.transform = direction === 'up' ? 'translateY(-8px)' : 'translateY(0)';
-                    isAnimating = false;
+            this.observer = new IntersectionObserver(entries => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) return;
+                    this.observer.unobserve(entry.target);
+                    this.expose(entry.target.dataset.experimentId);
                 });
-            };
+            }, { threshold: 0.5 });
             
-            card.addEventListener('mouseenter', () => animateCard('up'), options);
-            card.addEventListener('mouseleave', () => animateCard('down'), options);
-            card.addEventListener('touchstart', () => animateCard('up'), options);
-            card.addEventListener('touchend', () => animateCard('down'), options);
-        });
-    }
-    
-    // ====================================
-    // ENHANCED FORM HANDLING
-    // ====================================
-    function initFormHandling() {
-        window.addEventListener('message', handleFormMessage);
-    }
-    
-    function handleFormMessage(event) {
-        if (!event.origin.includes('leadconnectorhq.com')) return;
+            document.querySelectorAll('[data-experiment-id]').forEach(element => {
+                if (!this.seen.has(element.dataset.experimentId)) this.observer.observe(element);
+            });
+        }
         
-        if (event.data && event.data.type === 'form-submitted') {
-            showNotification(
-                '¡Información recibida! Te contactaremos en menos de 24 horas.',
-                'success'
-            );
+        expose(id) {
+            if (!this.variants[id] || this.seen.has(id)) return;
+            this.seen.add(id);
             
-            if (typeof gtag !== 'undefined') {
-                gtag('event', 'form_submit', {
-                    'event_category': 'engagement',
-                    'event_label': 'consultation_form'
+            const variant = this.variants[id];
+            analytics.track('experiment_exposure', {
+                event_category: 'experiment',
+                experiment: id,
+                variant: variant,
+                qa: this.isQA(id)
+            });
+            
+            // QA views are not real visitors; keep them out of conversions
+            if (this.isQA(id)) return;
+            this.state.exposed[id] = variant;
+            this.save();
+        }
+        
+        // form_submit (embed message) or thank_you (gracias.html) for every
+        // experiment this visitor was exposed to
+        convert(goal) {
+            Object.entries(this.state.exposed || {}).forEach(([id, variant]) => {
+                analytics.track('experiment_conversion', {
+                    event_category: 'experiment',
+                    experiment: id,
+                    variant: variant,
+                    goal: goal
                 });
-            }
+            });
+        }
+        
+        cleanup() {
+            if (this.observer) this.observer.disconnect();
+            if (this.unsubscribeMessages) this.unsubscribeMessages();
         }
     }
     
+    const experiments = new ExperimentManager(CONFIG.EXPERIMENTS);
+    
     // ====================================
-    // NOTIFICATION SYSTEM (OPTIMIZED)
+    // NOTIFICATION CENTER
     // ====================================
-    function showNotification(message, type = 'info') {
-        const existingNotif = document.querySelector('.notification');
-        if (existingNotif) {
-            existingNotif.remove();
+    // Toasts stack up to NOTIFICATION_MAX_VISIBLE and queue beyond that.
+    // Messages and action labels are rendered as text, never as HTML.
+    const NOTIFICATION_ICONS = {
+        success: '<path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/>',
+        warning: '<circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/><line x1="12" y1="16" x2="12.01" y2="16"/>',
+        error: '<circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/>',
+        info: '<circle cx="12" cy="12" r="10"/><line x1="12" y1="16" x2="12" y2="16"/><line x1="12" y1="8" x2="12" y2="12"/>'
+    };
+    
+    class NotificationCenter {
+        constructor() {
+            this.region = null;
+            this.visible = new Map();
+            this.queue = [];
+            this.counter = 0;
         }
         
-        const notification = document.createElement('div');
-        notification.className = `notification notification-${type}`;
+        // Polite region for every toast; errors also get role="alert"
+        ensureRegion() {
+            if (this.region && this.region.isConnected) return this.region;
+            
+            this.region = document.createElement('div');
+            this.region.className = 'notification-region';
+            this.region.setAttribute('aria-live', 'polite');
+            this.region.setAttribute('aria-relevant', 'additions');
+            document.body.appendChild(this.region);
+            return this.region;
+        }
         
-        const colors = {
-            success: 'linear-gradient(135deg, #10b981, #059669)',
-            warning: 'linear-gradient(135deg, #f59e0b, #d97706)',
-            error: 'linear-gradient(135deg, #ef4444, #dc2626)',
-            info: 'linear-gradient(135deg, #6366f1, #4f46e5)'
-        };
+        // options: { type, duration (ms, 0 keeps it open), actions: [{ label, href?, onClick? }] }
+        show(message, options = {}) {
+            const notification = {
+                id: `notification-${++this.counter}`,
+                message: String(message == null ? '' : message),
+                type: NOTIFICATION_ICONS[options.type] ? options.type : 'info',
+                duration: options.duration !== undefined ? options.duration : CONFIG.NOTIFICATION_DURATION,
+                actions: Array.isArray(options.actions) ? options.actions : []
+            };
+            
+            if (this.visible.size >= CONFIG.NOTIFICATION_MAX_VISIBLE) {
+                this.queue.push(notification);
+            } else {
+                this.display(notification);
+            }
+            return notification.id;
+        }
         
-        const icons = {
-            success: '<path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/>',
-            warning: '<circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/><line x1="12" y1="16" x2="12.01" y2="16"/>',
-            error: '<circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/>',
-            info: '<circle cx="12" cy="12" r="10"/><line x1="12" y1="16" x2="12" y2="16"/><line x1="12" y1="8" x2="12" y2="12"/>'
-        };
+        display(notification) {
+            const element = document.createElement('div');
+            element.className = `notification notification-${notification.type}`;
+            element.id = notification.id;
+            if (notification.type === 'error') element.setAttribute('role', 'alert');
+            
+            element.innerHTML = `
+                <svg class="notification-icon" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                    ${NOTIFICATION_ICONS[notification.type]}
+                </svg>
+                <div class="notification-body">
+                    <p class="notification-message"></p>
+                </div>
+                <button type="button" class="notification-close" aria-label="${t('common.close')}">&times;</button>
+            `;
+            element.querySelector('.notification-message').textContent = notification.message;
+            
+            if (notification.actions.length) {
+                const actions = document.createElement('div');
+                actions.className = 'notification-actions';
+                notification.actions.forEach(action => actions.appendChild(this.createAction(action, notification.id)));
+                element.querySelector('.notification-body').appendChild(actions);
+            }
+            
+            element.querySelector('.notification-close').addEventListener('click', () => this.dismiss(notification.id));
+            
+            // Reading (hover) or tabbing to an action stops the countdown
+            const entry = { element: element, timer: null, remaining: notification.duration, startedAt: 0, hovered: false, focused: false };
+            element.addEventListener('mouseenter', () => this.setPaused(entry, 'hovered', true));
+            element.addEventListener('mouseleave', () => this.setPaused(entry, 'hovered', false));
+            element.addEventListener('focusin', () => this.setPaused(entry, 'focused', true));
+            element.addEventListener('focusout', (e) => {
+                if (!element.contains(e.relatedTarget)) this.setPaused(entry, 'focused', false);
+            });
+            
+            this.visible.set(notification.id, entry);
+            this.ensureRegion().appendChild(element);
+            this.startTimer(notification.id);
+        }
         
-        notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            background: ${colors[type]};
-            color: white;
-            padding: 16px 24px;
-            border-radius: 12px;
-            box-shadow: 0 10px 30px rgba(0, 0, 0, 0.2);
-            z-index: 10000;
-            animation: slideInRight 0.5s ease;
-            font-weight: 500;
-            display: flex;
-            align-items: center;
-            gap: 12px;
-            max-width: 90vw;
-            font-size: 14px;
-            will-change: transform;
-        `;
+        createAction(action, id) {
+            const control = document.createElement(action.href ? 'a' : 'button');
+            control.className = 'notification-action';
+            control.textContent = action.label;
+            
+            if (action.href) {
+                control.href = action.href;
+                control.target = '_blank';
+                control.rel = 'noopener noreferrer';
+            } else {
+                control.type = 'button';
+            }
+            
+            control.addEventListener('click', (e) => {
+                if (typeof action.onClick === 'function') action.onClick(e);
+                this.dismiss(id);
+            });
+            return control;
+        }
         
-        notification.innerHTML = `
-            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                ${icons[type]}
-            </svg>
-            <span>${message}</span>
-        `;
+        startTimer(id) {
+            const entry = this.visible.get(id);
+            if (!entry || entry.remaining <= 0 || entry.hovered || entry.focused) return;
+            
+            entry.startedAt = Date.now();
+            entry.timer = setTimeout(() => this.dismiss(id), entry.remaining);
+        }
         
-        document.body.appendChild(notification);
+        setPaused(entry, flag, value) {
+            entry[flag] = value;
+            const id = entry.element.id;
+            
+            if (entry.hovered || entry.focused) {
+                if (entry.timer) {
+                    clearTimeout(entry.timer);
+                    entry.timer = null;
+                    entry.remaining = Math.max(1000, entry.remaining - (Date.now() - entry.startedAt));
+                }
+            } else if (!entry.timer) {
+                this.startTimer(id);
+            }
+        }
         
-        const removeTimeout = setTimeout(() => {
-            notification.style.animation = 'slideOutRight 0.5s ease';
-            setTimeout(() => {
-                notification.remove();
-            }, 500);
-        }, 5000);
-        
-        // Allow manual dismiss
-        notification.addEventListener('click', () => {
-            clearTimeout(removeTimeout);
-            notification.remove();
-        });
+        dismiss(id) {
+            const entry = this.visible.get(id);
+            if (!entry) {
+                this.queue = this.queue.filter(notification => notification.id !== id);
+                return;
+            }
+            
+            clearTimeout(entry.timer);
+            this.visible.delete(id);
+            
+            entry.element.classList.add('is-leaving');
+            setTimeout(() => entry.element.remove(), shouldReduceMotion() ? 0 : 300);
+            
+            if (this.queue.length) {
+                this.display(this.queue.shift());
+            }
+        }
+        
+        clear() {
+            this.queue = [];
+            Array.from(this.visible.keys()).forEach(id => this.dismiss(id));
+        }
+        
+        cleanup() {
+            this.queue = [];
+            this.visible.forEach(entry => clearTimeout(entry.timer));
+        }
+    }
+    
+    const notificationCenter = new NotificationCenter();
+    
+    function showNotification(message, type = 'info', options = {}) {
+        return notificationCenter.show(message, { ...options, type: type });
     }
     
     // ====================================
-    // TICKER OPTIMIZATION
+    // SUCCESS TICKER
     // ====================================
-    function initTicker() {
-        const tickerContent = document.querySelector('.ticker-content');
-        if (!tickerContent) return;
+    class SuccessTicker {
+        constructor() {
+            this.root = null;
+            this.track = null;
+            this.content = null;
+            this.toggle = null;
+            this.userPaused = false;
+            this.hovered = false;
+            this.focused = false;
+            this.offscreen = false;
+            this.observer = null;
+            this.unsubscribeQuality = null;
+            this.motionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+            this.handleResize = debounce(() => this.updateSpeed(), CONFIG.DEBOUNCE_DELAY);
+            this.handleMotionChange = () => this.render();
+        }
         
-        // Only animate when visible
-        const observer = new IntersectionObserver(
-            (entries) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        tickerContent.style.animationPlayState = 'running';
-                    } else {
-                        tickerContent.style.animationPlayState = 'paused';
-                    }
-                });
-            },
-            { threshold: 0 }
-        );
+        init() {
+            this.root = document.querySelector('.companies-ticker');
+            if (!this.root) return;
+            this.track = this.root.querySelector('.ticker-track');
+            this.content = this.root.querySelector('.ticker-content');
+            if (!this.track || !this.content) return;
+            
+            this.content.id = this.content.id || 'ticker-content';
+            this.createToggle();
+            
+            // Focusable so keyboard users can stop it by tabbing in
+            this.track.tabIndex = 0;
+            this.track.setAttribute('role', 'region');
+            this.track.setAttribute('aria-label', t('ticker.label'));
+            
+            this.track.addEventListener('mouseenter', () => this.setFlag('hovered', true));
+            this.track.addEventListener('mouseleave', () => this.setFlag('hovered', false));
+            this.track.addEventListener('focusin', () => this.setFlag('focused', true));
+            this.track.addEventListener('focusout', () => this.setFlag('focused', false));
+            
+            window.addEventListener('resize', this.handleResize, { passive: true });
+            if (this.motionQuery && this.motionQuery.addEventListener) {
+                this.motionQuery.addEventListener('change', this.handleMotionChange);
+            }
+            // Dropping to 'minimal' quality also switches to the static list
+            this.unsubscribeQuality = performanceMonitor.onQualityChange(this.handleMotionChange);
+            
+            // Only animate while visible
+            this.observer = new IntersectionObserver(entries => {
+                entries.forEach(entry => this.setFlag('offscreen', !entry.isIntersecting));
+            }, { threshold: 0 });
+            this.observer.observe(this.track);
+            
+            this.render();
+        }
+        
+        createToggle() {
+            const header = this.root.querySelector('.ticker-header') || this.root;
+            
+            this.toggle = document.createElement('button');
+            this.toggle.type = 'button';
+            this.toggle.className = 'ticker-toggle';
+            this.toggle.setAttribute('aria-controls', this.content.id);
+            this.toggle.addEventListener('click', () => {
+                this.userPaused = !this.userPaused;
+                this.updateState();
+            });
+            
+            header.appendChild(this.toggle);
+        }
         
-        observer.observe(tickerContent);
+        // Reduced motion gets a static, wrapping list without the clones
+        render() {
+            const isStatic = shouldReduceMotion();
+            this.root.classList.toggle('is-static', isStatic);
+            this.toggle.hidden = isStatic;
+            
+            this.content.querySelectorAll('[data-ticker-clone]').forEach(clone => clone.remove());
+            if (isStatic) return;
+            
+            // The keyframes move by -50%, so the items need a second copy
+            Array.from(this.content.children).forEach(item => {
+                const clone = item.cloneNode(true);
+                clone.setAttribute('aria-hidden', 'true');
+                clone.dataset.tickerClone = '';
+                this.content.appendChild(clone);
+            });
+            
+            this.updateSpeed();
+            this.updateState();
+        }
         
-        // Pause on hover for better UX
-        tickerContent.addEventListener('mouseenter', function() {
-            this.style.animationPlayState = 'paused';
-        });
+        // Duration follows the content width so the reading pace stays constant
+        updateSpeed() {
+            if (!this.content || this.root.classList.contains('is-static')) return;
+            
+            const distance = this.content.scrollWidth / 2;
+            if (!distance) return;
+            this.content.style.animationDuration = `${Math.max(distance / CONFIG.TICKER_SPEED, 10)}s`;
+        }
         
-        tickerContent.addEventListener('mouseleave', function() {
-            this.style.animationPlayState = 'running';
-        });
+        setFlag(flag, value) {
+            this[flag] = value;
+            this.updateState();
+        }
+        
+        updateState() {
+            this.content.classList.toggle('is-paused', this.userPaused || this.hovered || this.focused || this.offscreen);
+            
+            this.toggle.innerHTML = this.userPaused
+                ? `<span aria-hidden="true">▶</span> ${t('ticker.resume')}`
+                : `<span aria-hidden="true">❚❚</span> ${t('ticker.pause')}`;
+            this.toggle.setAttribute('aria-label', t(this.userPaused ? 'ticker.resumeLabel' : 'ticker.pauseLabel'));
+        }
+        
+        cleanup() {
+            window.removeEventListener('resize', this.handleResize);
+            if (this.motionQuery && this.motionQuery.removeEventListener) {
+                this.motionQuery.removeEventListener('change', this.handleMotionChange);
+            }
+            if (this.unsubscribeQuality) this.unsubscribeQuality();
+            if (this.observer) this.observer.disconnect();
+        }
     }
     
     // ====================================
@@ -930,6 +7051,245 @@
         };
     }
     
+    function parseISODate(value) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+    
+    // Slot times without an offset are Bogotá wall time; Colombia has no DST
+    function parseSlotStart(value) {
+        if (typeof value !== 'string') return null;
+        const hasZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(value);
+        const date = new Date(hasZone ? value : `${value.length === 16 ? `${value}:00` : value}-05:00`);
+        return isNaN(date.getTime()) ? null : date;
+    }
+    
+    function toISODate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+    
+    function addDays(date, days) {
+        const result = new Date(date.getTime());
+        result.setUTCDate(result.getUTCDate() + days);
+        return result;
+    }
+    
+    // Same day number N months later, clamped to the last day of short months
+    function addMonths(date, months) {
+        const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+        const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+        target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+        return target;
+    }
+    
+    function getBogotaToday() {
+        // en-CA formats as YYYY-MM-DD
+        return new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Bogota' }).format(new Date());
+    }
+    
+    function formatLongDate(isoDate) {
+        return new Intl.DateTimeFormat(i18n.locale, {
+            weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC'
+        }).format(parseISODate(isoDate));
+    }
+    
+    function formatDate(isoDate) {
+        return new Intl.DateTimeFormat(i18n.locale, {
+            day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC'
+        }).format(parseISODate(isoDate));
+    }
+    
+    function formatShortDate(isoDate) {
+        return new Intl.DateTimeFormat(i18n.locale, {
+            day: 'numeric', month: 'short', timeZone: 'UTC'
+        }).format(parseISODate(isoDate));
+    }
+    
+    function escapeHTML(value) {
+        return String(value == null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
+    function escapeICSText(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+    
+    // UTC date-time as RFC 5545 wants it, e.g. 20261020T140000Z
+    function formatICSDateTime(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+    
+    // VEVENT (RFC 5545): all-day for `date` (YYYY-MM-DD) or timed for `start`/`end`
+    // (Date). The optional reminder is N days or N minutes before.
+    function buildCalendarFile({ uid, date, start, end, title, description, alarmDaysBefore, alarmMinutesBefore }) {
+        const when = start
+            ? [`DTSTART:${formatICSDateTime(start)}`, `DTEND:${formatICSDateTime(end)}`]
+            : [
+                `DTSTART;VALUE=DATE:${date.replace(/-/g, '')}`,
+                `DTEND;VALUE=DATE:${toISODate(addDays(parseISODate(date), 1)).replace(/-/g, '')}`
+            ];
+        
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//FormaliZESE//Landing//ES',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'BEGIN:VEVENT',
+            `UID:${uid}`,
+            `DTSTAMP:${formatICSDateTime(new Date())}`,
+            ...when,
+            `SUMMARY:${escapeICSText(title)}`,
+            `DESCRIPTION:${escapeICSText(description)}`
+        ];
+        
+        if (alarmDaysBefore || alarmMinutesBefore) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${escapeICSText(title)}`,
+                alarmMinutesBefore ? `TRIGGER:-PT${alarmMinutesBefore}M` : `TRIGGER:-P${alarmDaysBefore}D`,
+                'END:VALARM'
+            );
+        }
+        
+        lines.push('END:VEVENT', 'END:VCALENDAR');
+        return lines.join('\r\n');
+    }
+    
+    function downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    const copFormatter = new Intl.NumberFormat(i18n.locale, {
+        style: 'currency', currency: 'COP', maximumFractionDigits: 0
+    });
+    
+    function formatCOP(value) {
+        return copFormatter.format(Math.round(value));
+    }
+    
+    function shouldReduceMotion() {
+        return document.body.classList.contains('reduce-animations') ||
+            (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    }
+    
+    function formatCompactCOP(value, decimals = 1, display = 'short') {
+        const unit = COMPACT_UNITS.find(candidate => Math.abs(value) >= candidate.value);
+        const number = new Intl.NumberFormat(i18n.locale, {
+            maximumFractionDigits: unit ? decimals : 0
+        }).format(unit ? value / unit.value : value);
+        
+        if (display === 'long') {
+            return t('number.pesos', { amount: `${number}${unit ? ' ' + unit.long : ''}` });
+        }
+        return `$${number}${unit ? unit.short : ''}`;
+    }
+    
+    // Digits only: reads "1.247" (es-CO) and "1,247" alike
+    function parseLocaleInteger(text) {
+        const digits = String(text).replace(/\D/g, '');
+        return digits ? Number(digits) : NaN;
+    }
+    
+    function formatNumber(value) {
+        return new Intl.NumberFormat(i18n.locale).format(value);
+    }
+    
+    function formatPercent(value) {
+        return new Intl.NumberFormat(i18n.locale, { style: 'percent', maximumFractionDigits: 2 }).format(value);
+    }
+    
+    // "$ 1.250.000" -> 1250000
+    function parseCurrencyInput(value) {
+        const digits = String(value || '').replace(/[^\d]/g, '');
+        return digits ? parseInt(digits, 10) : 0;
+    }
+    
+    function isMobileDevice() {
+        return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+    }
+    
+    // Colombian mobile: 10 digits starting with 3, optional +57 prefix
+    function isColombianMobile(value) {
+        const digits = String(value || '').replace(/[\s\-().]/g, '').replace(/^\+?57/, '');
+        return /^3\d{9}$/.test(digits);
+    }
+    
+    // Hardware tier from RAM (GB) and cores; 'unknown' when the browser hides both
+    function getDeviceClass() {
+        const memory = navigator.deviceMemory;
+        const cores = navigator.hardwareConcurrency;
+        if (!memory && !cores) return 'unknown';
+        
+        if ((memory && memory <= 2) || (cores && cores <= 2)) return 'low';
+        if ((memory && memory <= 4) || (cores && cores <= 4)) return 'mid';
+        return 'high';
+    }
+    
+    // wa.me needs the app installed; on desktop go straight to WhatsApp Web
+    // unless WHATSAPP_WEB_ON_DESKTOP is turned off
+    function buildWhatsAppURL(message) {
+        const text = encodeURIComponent(message);
+        if (CONFIG.WHATSAPP_WEB_ON_DESKTOP && !isMobileDevice()) {
+            return `https://web.whatsapp.com/send?phone=${CONFIG.WHATSAPP_NUMBER}&text=${text}`;
+        }
+        return `https://wa.me/${CONFIG.WHATSAPP_NUMBER}?text=${text}`;
+    }
+    
+    // Keep Tab/Shift+Tab cycling inside an open dialog
+    function trapFocus(e, container) {
+        if (e.key !== 'Tab' || !container) return;
+        
+        const focusable = container.querySelectorAll('button:not([disabled]), input:not([disabled]), select, textarea, a[href]');
+        if (!focusable.length) return;
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+    
+    function sendBeaconJSON(url, body) {
+        const payload = typeof body === 'string' ? body : JSON.stringify(body);
+        
+        if (navigator.sendBeacon) {
+            const queued = navigator.sendBeacon(url, new Blob([payload], { type: 'application/json' }));
+            if (queued) return true;
+        }
+        
+        // keepalive lets the request outlive the page
+        fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: payload,
+            keepalive: true
+        }).catch(() => {});
+        return false;
+    }
+
+    
     function throttle(func, limit) {
         let inThrottle;
         return function(...args) {
@@ -945,20 +7305,13 @@
     // MOBILE OPTIMIZATIONS
     // ====================================
     function initMobileOptimizations() {
-        const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(
-            navigator.userAgent
-        );
-        
-        if (isMobile) {
+        if (isMobileDevice()) {
             document.body.classList.add('touch-device');
             
-            // Reduce animation complexity on mobile
+            // Reduce animation complexity on mobile; heavy effects are up to the quality governor
             document.querySelectorAll('[class*="animate"]').forEach(el => {
                 el.style.animationDuration = '0.3s';
             });
-            
-            // Disable heavy effects on mobile
-            document.body.classList.add('reduce-effects');
         }
         
         // Handle viewport height
@@ -1100,19 +7453,119 @@
     // ====================================
     // ERROR HANDLING
     // ====================================
-    window.addEventListener('error', function(e) {
-        if (e.filename && e.filename.includes('formalizese')) {
-            console.error('FormaliZESE Error:', e.message);
+    // Uncaught errors from same-origin scripts and unhandled rejections go to
+    // ERROR_REPORT_ENDPOINT together with the breadcrumbs that led to them.
+    // Cross-origin "Script error." events carry nothing useful and are ignored.
+    class ErrorReporter {
+        constructor() {
+            this.breadcrumbs = [];
+            this.seen = new Map();
+            this.sent = 0;
+            this.sampled = Math.random() < CONFIG.ERROR_SAMPLE_RATE;
+            this.handleError = (e) => this.onError(e);
+            this.handleRejection = (e) => this.onRejection(e);
+        }
+        
+        start() {
+            window.addEventListener('error', this.handleError);
+            window.addEventListener('unhandledrejection', this.handleRejection);
             
-            // Log to monitoring service if available
-            if (typeof gtag !== 'undefined') {
-                gtag('event', 'exception', {
-                    'description': e.message,
-                    'fatal': false
-                });
+            this.unsubscribeNetwork = performanceMonitor.onNetworkChange(speed => {
+                this.breadcrumb('network', 'change', { speed: speed });
+            });
+            this.handleOnline = () => this.breadcrumb('network', navigator.onLine ? 'online' : 'offline');
+            window.addEventListener('online', this.handleOnline);
+            window.addEventListener('offline', this.handleOnline);
+        }
+        
+        breadcrumb(category, message, data) {
+            this.breadcrumbs.push({
+                category: category,
+                message: message,
+                ...(data ? { data: data } : {}),
+                time: Math.round(performance.now())
+            });
+            
+            if (this.breadcrumbs.length > CONFIG.ERROR_BREADCRUMB_LIMIT) {
+                this.breadcrumbs.shift();
             }
         }
-    });
+        
+        isOwnScript(filename) {
+            try {
+                return new URL(filename, window.location.href).origin === window.location.origin;
+            } catch (e) {
+                return false;
+            }
+        }
+        
+        onError(e) {
+            // Resource load errors do not bubble, so this is a script error
+            if (!e.filename || !this.isOwnScript(e.filename)) return;
+            
+            this.capture(e.error || new Error(e.message), {
+                type: 'error',
+                source: `${e.filename}:${e.lineno}:${e.colno}`
+            });
+        }
+        
+        onRejection(e) {
+            const reason = e.reason instanceof Error ? e.reason : new Error(String(e.reason));
+            this.capture(reason, { type: 'unhandledrejection' });
+        }
+        
+        capture(error, details = {}) {
+            console.error('FormaliZESE Error:', error);
+            
+            this.report({
+                type: 'error',
+                message: error.message,
+                stack: error.stack ? String(error.stack).slice(0, 2000) : undefined,
+                ...details
+            });
+        }
+        
+        report(details) {
+            const fingerprint = [details.type, details.message, details.source || ''].join('|');
+            const count = (this.seen.get(fingerprint) || 0) + 1;
+            this.seen.set(fingerprint, count);
+            
+            // Repeats only bump the counter; the first occurrence has the context
+            if (count > 1) return;
+            
+            analytics.track('exception', {
+                description: details.message,
+                fatal: false
+            });
+            
+            if (!CONFIG.ERROR_REPORT_ENDPOINT || !this.sampled || this.sent >= CONFIG.ERROR_MAX_REPORTS) return;
+            if (!consentManager.has('analytics')) return;
+            
+            this.sent++;
+            sendBeaconJSON(CONFIG.ERROR_REPORT_ENDPOINT, {
+                ...details,
+                pageview: webVitals.pageviewId,
+                page: window.location.pathname,
+                language: i18n.lang,
+                networkSpeed: performanceMonitor.metrics.networkSpeed,
+                qualityLevel: performanceMonitor.metrics.qualityLevel,
+                deviceType: isMobileDevice() ? 'mobile' : 'desktop',
+                breadcrumbs: this.breadcrumbs.slice(),
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        cleanup() {
+            window.removeEventListener('error', this.handleError);
+            window.removeEventListener('unhandledrejection', this.handleRejection);
+            window.removeEventListener('online', this.handleOnline);
+            window.removeEventListener('offline', this.handleOnline);
+            if (this.unsubscribeNetwork) this.unsubscribeNetwork();
+        }
+    }
+    
+    const errorReporter = new ErrorReporter();
+    errorReporter.start();
     
     // ====================================
     // INITIALIZATION CONTROLLER
@@ -1120,45 +7573,137 @@
     class InitController {
         constructor() {
             this.modules = {
+                errors: errorReporter,
                 performance: performanceMonitor,
-                formLoader: new SmartFormLoader(),
+                webVitals: webVitals,
+                i18n: i18n,
+                consent: consentManager,
+                content: new ContentRenderer(),
+                liveMetrics: new LiveMetrics(CONFIG.LIVE_METRICS_URL ? new JSONMetricsAdapter(CONFIG.LIVE_METRICS_URL) : null),
+                formLoader: formLoader,
+                formMessages: formMessages,
+                abandonment: new AbandonmentPrompt(leadQueue, formMessages),
+                experiments: experiments,
+                availability: availability,
+                booking: bookingWidget,
                 animationManager: new AnimationManager(),
                 imageLoader: new ProgressiveImageLoader(),
-                scrollAnimations: new ScrollAnimations()
+                engagement: engagementTracker,
+                scrollAnimations: new ScrollAnimations(engagementTracker),
+                counters: counterAnimator,
+                ticker: new SuccessTicker(),
+                leadQueue: leadQueue,
+                notifications: notificationCenter,
+                deadlineCalculator: deadlineCalculator,
+                actReader: new ActDocumentReader(caseContext, deadlineCalculator),
+                triageWizard: new TriageWizard(caseContext, colombianCalendar),
+                exposureEstimator: new ExposureEstimator(caseContext),
+                whatsApp: whatsAppComposer
             };
         }
         
         init() {
+            if (document.body.dataset.page === 'gracias') {
+                this.initThankYou();
+                return;
+            }
+            
             // Start performance monitoring first
             this.modules.performance.start();
+            this.modules.webVitals.start();
+            
+            // Capture campaign params before anything reads them
+            attributionTracker.capture();
+            
+            // Fetch translated page copy and editable content while the critical path runs
+            const translated = this.modules.i18n.init();
+            const contentReady = this.modules.content.load();
+            Promise.all([translated, contentReady]).then(() => {
+                // Translation and content rendering replace experiment targets
+                // and the availability copy
+                this.modules.experiments.apply();
+                this.modules.availability.render();
+                this.modules.experiments.reveal();
+                this.modules.i18n.reveal();
+            });
             
             // Critical path
             this.initCritical();
             
-            // Deferred path
+            // Deferred path starts right away; only the modules that bind to
+            // rendered content (cards, metrics, ticker) wait for it
             requestIdleCallback(() => this.initDeferred());
+            contentReady.then(() => requestIdleCallback(() => this.initContentBound()));
+        }
+        
+        // gracias.html has no landing sections; it only needs its copy, the
+        // WhatsApp link and the conversion. Consent is asked on the landing.
+        initThankYou() {
+            this.modules.i18n.init().then(() => this.modules.i18n.reveal());
+            
+            this.runSteps([
+                ['consentTags', () => this.modules.consent.loadTags()],
+                ['whatsApp', () => this.modules.whatsApp.init()],
+                ['conversion', trackConversion]
+            ]);
+        }
+        
+        // One failing module is reported and does not stop the ones after it
+        runSteps(steps) {
+            steps.forEach(([name, step]) => {
+                errorReporter.breadcrumb('init', name);
+                try {
+                    step();
+                } catch (error) {
+                    errorReporter.capture(error, { module: name });
+                }
+            });
         }
         
         initCritical() {
             // Critical functionality that affects initial render
-            injectAnimationStyles();
-            this.modules.formLoader.init();
-            initSmoothScroll();
-            initMobileOptimizations();
+            this.runSteps([
+                ['consent', () => this.modules.consent.init()],
+                ['experiments', () => this.modules.experiments.start()],
+                ['availability', () => this.modules.availability.init()],
+                ['animationStyles', injectAnimationStyles],
+                ['formLoader', () => this.modules.formLoader.init()],
+                ['smoothScroll', initSmoothScroll],
+                ['mobileOptimizations', initMobileOptimizations],
+                ['whatsApp', () => this.modules.whatsApp.init()]
+            ]);
         }
         
         initDeferred() {
             // Non-critical functionality
-            this.modules.animationManager.init();
-            this.modules.imageLoader.init();
-            this.modules.scrollAnimations.init();
-            initCardEffects();
-            initFormHandling();
-            initTicker();
-            initWhatsAppTooltip();
+            this.runSteps([
+                ['engagement', () => this.modules.engagement.init()],
+                ['formMessages', () => this.modules.formMessages.init()],
+                ['abandonment', () => this.modules.abandonment.init()],
+                ['whatsAppTooltip', initWhatsAppTooltip],
+                ['leadQueue', () => this.modules.leadQueue.start()],
+                ['deadlineCalculator', () => this.modules.deadlineCalculator.init()],
+                ['actReader', () => this.modules.actReader.init()],
+                ['exposureEstimator', () => this.modules.exposureEstimator.init()],
+                ['booking', () => this.modules.booking.init()],
+                ['caseSummary', () => renderCaseSummary(caseContext.get())]
+            ]);
             
             // Add scroll listener with throttling
             window.addEventListener('scroll', throttle(requestTick, CONFIG.THROTTLE_DELAY), { passive: true });
+        }
+        
+        // Modules that bind to markup the content renderer may replace
+        initContentBound() {
+            this.runSteps([
+                ['animationManager', () => this.modules.animationManager.init()],
+                ['liveMetrics', () => this.modules.liveMetrics.init()],
+                ['imageLoader', () => this.modules.imageLoader.init()],
+                ['scrollAnimations', () => this.modules.scrollAnimations.init()],
+                ['cardEffects', initCardEffects],
+                ['ticker', () => this.modules.ticker.init()],
+                ['triageWizard', () => this.modules.triageWizard.init()]
+            ]);
             
             // Mark as fully loaded
             document.body.classList.add('loaded');
@@ -1176,7 +7721,8 @@
                         'DOM Complete': Math.round(perfData.domComplete) + 'ms',
                         'Load Complete': Math.round(perfData.loadEventEnd) + 'ms',
                         'FPS': performanceMonitor.metrics.fps,
-                        'Network': performanceMonitor.metrics.networkSpeed
+                        'Network': performanceMonitor.metrics.networkSpeed,
+                        'Web Vitals': webVitals.metrics
                     });
                 }
             }
@@ -1207,7 +7753,26 @@
     // Expose API for debugging
     window.FormaliZESE = {
         performance: performanceMonitor,
+        webVitals: webVitals,
+        errors: errorReporter,
         controller: controller,
+        leadQueue: leadQueue,
+        calendar: colombianCalendar,
+        availability: availability,
+        booking: bookingWidget,
+        caseContext: caseContext,
+        attribution: attributionTracker,
+        formMessages: formMessages,
+        engagement: engagementTracker,
+        experiments: experiments,
+        analytics: analytics,
+        consent: consentManager,
+        i18n: i18n,
+        liveMetrics: controller.modules.liveMetrics,
+        JSONMetricsAdapter: JSONMetricsAdapter,
+        track: (name, params) => analytics.track(name, params),
+        notifications: notificationCenter,
+        notify: (message, options) => notificationCenter.show(message, options),
         version: '2.0.0'
     };
     